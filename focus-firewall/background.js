@@ -4,61 +4,2393 @@
  * manages storage, and coordinates extension state.
  */
 
-// Set default state on install
-chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.local.set({
-    focusGoal: '',
-    isEnabled: true,
-    socialTimers: {} // Track per-tab social media timers
+// Shared relevance engine (tokenizer/stemmer for reveal suggestions)
+importScripts('lib/relevance.js');
+
+// Stored settings: defaults, validation and migrations
+importScripts('lib/settings.js');
+
+// Fresh installs start from defaults. Updates (and Chrome updates) keep
+// the user's data and only migrate it to the current schema.
+chrome.runtime.onInstalled.addListener((details) => {
+  chrome.storage.local.get(null, (stored) => {
+    const settings = details.reason === 'install'
+      ? FFSettings.defaults()
+      : FFSettings.upgrade(stored);
+
+    // Keys a migration retired
+    const retired = Object.keys(stored).filter(key => !(key in settings));
+    if (retired.length > 0) chrome.storage.local.remove(retired);
+
+    chrome.storage.local.set(settings, () => {
+      syncContentScripts();
+      createContextMenus();
+      // Alarms don't survive an update; pick a running session back up
+      resumeSession();
+      checkLock();
+      checkSnooze();
+      refreshBadges();
+      scheduleSync();
+    });
   });
+  ensureScheduleAlarm();
 });
 
+// Host access revoked from chrome://extensions: drop that site's scripts
+chrome.permissions.onRemoved.addListener(() => syncContentScripts());
+
+chrome.runtime.onStartup.addListener(() => {
+  ensureScheduleAlarm();
+  resumeSession();
+  checkLock();
+  checkSnooze();
+  refreshBadges();
+  scheduleSync();
+});
+
+// Settings sync: local edits go up, other devices' edits come down
+chrome.storage.onChanged.addListener((changes, area) => {
+  const keys = Object.keys(changes);
+  const relevant = area === 'sync'
+    ? keys.some(key => key.startsWith(SYNC_KEY_PREFIX))
+    : area === 'local' && keys.some(key => FFSettings.SETTINGS_KEYS.includes(key));
+  if (relevant) scheduleSync();
+  if (area === 'local' && changes.sites) updatePageMenu();
+  if (area === 'local' && (changes.isEnabled || changes.socialTimers || changes.sites)) refreshBadges();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM) checkSchedule();
+  if (alarm.name === SESSION_ALARM) advanceSession();
+  if (alarm.name === LOCK_ALARM) checkLock();
+  if (alarm.name === SNOOZE_ALARM) checkSnooze();
+  if (alarm.name === BADGE_ALARM) refreshBadges();
+  if (alarm.name.startsWith(ALLOWANCE_ALARM_PREFIX)) {
+    expireAllowance(alarm.name.slice(ALLOWANCE_ALARM_PREFIX.length));
+  }
+  if (alarm.name.startsWith(UNBLOCK_ALARM_PREFIX)) {
+    unblockSite(alarm.name.slice(UNBLOCK_ALARM_PREFIX.length));
+  }
+});
+
+// ── Helpers ─────────────────────────────────────────────
+
+// Normalise a goal so "SQL Viva" and " sql  viva " share one entry
+function goalKey(goal) {
+  return (goal || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Clean a user-supplied term list: trimmed, lowercase, no duplicates
+function sanitizeTerms(terms) {
+  if (!Array.isArray(terms)) return [];
+  const cleaned = terms
+    .map(t => String(t).trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(cleaned)];
+}
+
+// Clean a channel (or title) list: trimmed, no case-insensitive duplicates,
+// first spelling kept so "freeCodeCamp.org" still reads nicely in the popup
+function sanitizeChannels(channels) {
+  if (!Array.isArray(channels)) return [];
+  const seen = new Set();
+  return channels
+    .map(c => String(c).trim())
+    .filter(c => {
+      const key = c.toLowerCase();
+      if (!c || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+const TERM_LISTS = {
+  include: sanitizeTerms,
+  exclude: sanitizeTerms,
+  allowChannels: sanitizeChannels,  // Channels always on-topic for the goal
+  blockChannels: sanitizeChannels,  // Channels never on-topic for the goal
+  onTopicTitles: sanitizeChannels   // Single videos/posts marked on-topic from the context menu
+};
+
+function getGoalTerms(goalTerms, goal) {
+  const entry = (goalTerms || {})[goalKey(goal)] || {};
+  const terms = {};
+  Object.keys(TERM_LISTS).forEach(list => { terms[list] = entry[list] || []; });
+  return terms;
+}
+
+// GOAL_UPDATED broadcast for a goal and its rule lists
+function goalUpdate(goal, terms) {
+  return {
+    type: 'GOAL_UPDATED',
+    goal,
+    includeTerms: terms.include,
+    excludeTerms: terms.exclude,
+    allowChannels: terms.allowChannels,
+    blockChannels: terms.blockChannels,
+    onTopicTitles: terms.onTopicTitles
+  };
+}
+
+// "https://www.instagram.com/reels/" → "instagram.com"
+function siteKey(url) {
+  try {
+    return new URL(url).hostname.replace(/^(www|m|web)\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Local calendar day, e.g. "2024-03-09"
+function dayKey(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Wall-clock time for messages, e.g. "3:45 PM" depending on locale
+function formatClock(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Same time of day, `n` calendar days ago (DST-safe, unlike subtracting ms)
+function daysAgo(n) {
+  const date = new Date();
+  date.setDate(date.getDate() - n);
+  return date;
+}
+
+// Events arrive in bursts from many tabs; chain read-modify-write
+// cycles on shared keys so concurrent updates don't overwrite each other.
+// `task` receives a `done` callback it must call once its write lands.
+let writeQueue = Promise.resolve();
+
+function queueWrite(task) {
+  writeQueue = writeQueue.then(() => new Promise(task)).catch(() => {});
+}
+
+function senderUrl(sender) {
+  return sender.tab ? sender.tab.url : sender.url;
+}
+
+// Send a message to every tab; tabs without content scripts are ignored
+function broadcast(message) {
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach((tab) => {
+      chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+    });
+  });
+}
+
+// ── Goal State ──────────────────────────────────────────
+
+// Store a new active goal and push it (with its term lists) to every tab.
+// `profileId` records which profile the goal came from, if any.
+function applyGoal(goal, profileId, callback) {
+  queueWrite((done) => {
+    chrome.storage.local.get(['goalTerms', 'goalHistory', 'focusGoal', 'goalSession', 'journal'], (data) => {
+      const update = {
+        focusGoal: goal,
+        activeProfileId: profileId || null,
+        goalHistory: rememberGoal(data.goalHistory, goal)
+      };
+
+      // A different goal ends the current goal session and starts the next
+      if (goalKey(goal) !== goalKey(data.focusGoal) || !data.goalSession) {
+        const closed = closeGoalSession(data.goalSession);
+        if (closed) update.journal = [...(data.journal || []), closed].slice(-JOURNAL_LIMIT);
+        update.goalSession = goalKey(goal) ? openGoalSession(goal) : null;
+      }
+
+      chrome.storage.local.set(update, () => {
+        done();
+        // Notify all tabs of the goal change so content scripts react immediately
+        broadcast(goalUpdate(goal, getGoalTerms(data.goalTerms, goal)));
+        if (callback) callback();
+      });
+    });
+  });
+}
+
+// Save rule lists for a goal; rescans tabs if it is the active goal.
+// `changes` holds any of the TERM_LISTS keys; lists left out keep
+// their stored value, so the popup's keyword editor can't wipe channels.
+function saveGoalTerms(goal, changes, callback) {
+  queueWrite((done) => {
+    chrome.storage.local.get(['goalTerms', 'focusGoal'], (data) => {
+      writeGoalTerms(data, goal, changes, done, callback);
+    });
+  });
+}
+
+// saveGoalTerms() for the active goal, with `edit` turning its stored
+// lists into the changes. Reading and writing happen in one queued
+// task, so an edit the popup makes meanwhile isn't lost.
+// Calls back with null when there is no active goal.
+function editActiveGoalTerms(edit, callback) {
+  queueWrite((done) => {
+    chrome.storage.local.get(['goalTerms', 'focusGoal'], (data) => {
+      if (!goalKey(data.focusGoal)) {
+        done();
+        callback(null);
+        return;
+      }
+      const terms = getGoalTerms(data.goalTerms, data.focusGoal);
+      writeGoalTerms(data, data.focusGoal, edit(terms), done, callback);
+    });
+  });
+}
+
+// Write step shared by the two above; `data` is the queued task's read
+function writeGoalTerms(data, goal, changes, done, callback) {
+  const key = goalKey(goal);
+  const goalTerms = data.goalTerms || {};
+  const terms = getGoalTerms(goalTerms, goal);
+  Object.keys(TERM_LISTS).forEach(list => {
+    if (changes[list] !== undefined) terms[list] = TERM_LISTS[list](changes[list]);
+  });
+
+  if (Object.values(terms).every(values => values.length === 0)) {
+    delete goalTerms[key];
+  } else {
+    goalTerms[key] = terms;
+  }
+
+  chrome.storage.local.set({ goalTerms }, () => {
+    done();
+    if (goalKey(data.focusGoal) === key) broadcast(goalUpdate(data.focusGoal, terms));
+    if (callback) callback(terms);
+  });
+}
+
+// Overlay action: mark a channel on-topic for the active goal
+function allowChannel(channel, callback) {
+  const same = c => c.toLowerCase() === channel.toLowerCase();
+  editActiveGoalTerms(terms => ({
+    allowChannels: [...terms.allowChannels.filter(c => !same(c)), channel],
+    blockChannels: terms.blockChannels.filter(c => !same(c))
+  }), callback);
+}
+
+// "Mark as on-topic" from the context menu: this title always passes
+// for the current goal, whatever its keywords or channel
+const ON_TOPIC_LIMIT = 200;
+
+function markOnTopic(title, callback) {
+  editActiveGoalTerms(terms => ({
+    onTopicTitles: [...terms.onTopicTitles, title].slice(-ON_TOPIC_LIMIT)
+  }), callback);
+}
+
+// ── Goal History ────────────────────────────────────────
+// Every goal set, newest first, one entry per goalKey():
+// { goal, uses, lastUsedAt, pinned }. Feeds the popup's autocomplete
+// and chips and the quick-goal palette. Pinned entries are never
+// pushed out; the rest are capped at GOAL_HISTORY_LIMIT.
+const GOAL_HISTORY_LIMIT = 50;
+
+// Record a use of `goal`, moving it to the front. Cleared goals aren't kept.
+function rememberGoal(goalHistory, goal) {
+  const key = goalKey(goal);
+  const history = goalHistory || [];
+  if (!key) return history;
+
+  const previous = history.find(entry => goalKey(entry.goal) === key);
+  const rest = history.filter(entry => entry !== previous);
+  const entry = {
+    goal: goal.trim().replace(/\s+/g, ' '), // Latest spelling wins
+    uses: (previous ? previous.uses : 0) + 1,
+    lastUsedAt: Date.now(),
+    pinned: previous ? previous.pinned : false
+  };
+
+  let unpinned = 0;
+  return [entry, ...rest].filter(e => e.pinned || ++unpinned <= GOAL_HISTORY_LIMIT);
+}
+
+// Pinned goals first, then by recency
+function sortGoalHistory(goalHistory) {
+  const history = goalHistory || [];
+  return [...history.filter(entry => entry.pinned), ...history.filter(entry => !entry.pinned)];
+}
+
+// Pin, unpin (`change` is { pinned }) or delete (`change` is null) an entry
+function editGoalHistory(goal, change, callback) {
+  const key = goalKey(goal);
+  queueWrite((done) => {
+    chrome.storage.local.get('goalHistory', (data) => {
+      const matches = entry => goalKey(entry.goal) === key;
+      const history = data.goalHistory || [];
+      const goalHistory = change
+        ? history.map(entry => matches(entry) ? { ...entry, ...change } : entry)
+        : history.filter(entry => !matches(entry));
+      chrome.storage.local.set({ goalHistory }, () => {
+        done();
+        callback(sortGoalHistory(goalHistory));
+      });
+    });
+  });
+}
+
+// ── Goal Journal ────────────────────────────────────────
+// A goal session runs from setting a goal until it is cleared or
+// replaced. The open one is goalSession = { goal, startedAt,
+// siteSeconds: { [site]: seconds }, filtered, overrides }, siteSeconds
+// being visible time on each guarded site, whatever its mode. Closing it
+// adds a journal record with an id, endedAt and reflection, which stays
+// null until the user answers (or skips) the popup's prompt:
+// { accomplished: 'yes' | 'partly' | 'no' | null, notes }.
+
+const JOURNAL_LIMIT = 500;
+const JOURNAL_MIN_SECONDS = 60;     // Quick switches and typos aren't worth a record
+const REFLECTION_WINDOW_HOURS = 12; // The popup only asks about recent sessions
+const REFLECTION_ANSWERS = ['yes', 'partly', 'no'];
+
+// Stat events that count toward the open goal session
+const SESSION_EVENTS = {
+  videoBlurred:  'filtered',
+  itemBlurred:   'filtered',
+  itemHidden:    'filtered',
+  videoRevealed: 'overrides',
+  itemRevealed:  'overrides'
+};
+
+function openGoalSession(goal) {
+  return {
+    goal: goal.trim().replace(/\s+/g, ' '),
+    startedAt: Date.now(),
+    siteSeconds: {},
+    filtered: 0,
+    overrides: 0
+  };
+}
+
+// The journal record for an open session, or null if it's too short to keep
+function closeGoalSession(session) {
+  if (!session) return null;
+  const endedAt = Date.now();
+  if (endedAt - session.startedAt < JOURNAL_MIN_SECONDS * 1000) return null;
+  return { id: crypto.randomUUID(), ...session, endedAt, reflection: null };
+}
+
+// Add to one of the open session's counters: 'filtered', 'overrides',
+// or 'siteSeconds' for `site`
+function tallyGoalSession(field, count, site) {
+  queueWrite((done) => {
+    chrome.storage.local.get('goalSession', ({ goalSession }) => {
+      if (!goalSession) {
+        done();
+        return;
+      }
+      if (field === 'siteSeconds') {
+        goalSession.siteSeconds[site] = (goalSession.siteSeconds[site] || 0) + count;
+      } else {
+        goalSession[field] += count;
+      }
+      chrome.storage.local.set({ goalSession }, done);
+    });
+  });
+}
+
+// Newest session still waiting for a reflection, if it ended recently
+function pendingReflection(journal) {
+  const latest = (journal || [])[(journal || []).length - 1];
+  const cutoff = Date.now() - REFLECTION_WINDOW_HOURS * 3600000;
+  return latest && latest.reflection === null && latest.endedAt >= cutoff ? latest : null;
+}
+
+function saveReflection(id, accomplished, notes, callback) {
+  queueWrite((done) => {
+    chrome.storage.local.get('journal', (data) => {
+      const journal = data.journal || [];
+      const record = journal.find(entry => entry.id === id);
+      if (!record) {
+        done();
+        callback(false);
+        return;
+      }
+      record.reflection = {
+        accomplished: REFLECTION_ANSWERS.includes(accomplished) ? accomplished : null,
+        notes: String(notes || '').trim().slice(0, 1000)
+      };
+      chrome.storage.local.set({ journal }, () => {
+        done();
+        callback(true);
+      });
+    });
+  });
+}
+
+// ── Goal Profiles & Schedule ────────────────────────────
+// A profile is { id, name, goal, schedule: [{ days, start, end }] }.
+// Keyword rules live in goalTerms, so profiles sharing a goal share them.
+// Once a minute the schedule alarm checks whether a profile's time slot
+// has started and, if so, makes it the active goal.
+
+const SCHEDULE_ALARM = 'ff-schedule';
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function ensureScheduleAlarm() {
+  chrome.alarms.get(SCHEDULE_ALARM, (alarm) => {
+    if (!alarm) chrome.alarms.create(SCHEDULE_ALARM, { periodInMinutes: 1 });
+  });
+}
+
+// "08:30" → 510
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Slots whose end is not after their start wrap past midnight,
+// e.g. Fri 22:00–01:00 is also active early on Saturday.
+function isSlotActive(slot, date) {
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(slot.start);
+  const end = toMinutes(slot.end);
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+
+  if (start < end) {
+    return slot.days.includes(today) && now >= start && now < end;
+  }
+  return (slot.days.includes(today) && now >= start) ||
+         (slot.days.includes(yesterday) && now < end);
+}
+
+function findScheduledProfile(profiles, date) {
+  return profiles.find(profile =>
+    profile.schedule.some(slot => isSlotActive(slot, date))
+  ) || null;
+}
+
+// Activate a profile only when its slot starts, so a goal the user
+// picks by hand mid-slot is not overwritten a minute later.
+function checkSchedule() {
+  chrome.storage.local.get(['profiles', 'scheduledProfileId'], (data) => {
+    const profile = findScheduledProfile(data.profiles || [], new Date());
+    const id = profile ? profile.id : null;
+    if (id === (data.scheduledProfileId || null)) return;
+
+    chrome.storage.local.set({ scheduledProfileId: id });
+    if (profile) applyGoal(profile.goal, profile.id);
+  });
+}
+
+// ── Focus Sessions (Pomodoro) ───────────────────────────
+// A session alternates work and break phases. Everything needed to
+// continue lives in storage and the phase boundary is a chrome.alarm,
+// so a session survives the service worker being shut down.
+//
+// focusSession = { workMinutes, breakMinutes, phase, phaseEndsAt, cycle, startedAt }
+
+const SESSION_ALARM = 'ff-session';
+
+function startSession(workMinutes, breakMinutes, callback) {
+  const now = Date.now();
+  const session = {
+    workMinutes,
+    breakMinutes,
+    phase: 'work',
+    phaseEndsAt: now + workMinutes * 60000,
+    cycle: 1,
+    startedAt: now
+  };
+  chrome.storage.local.set({ focusSession: session }, () => {
+    chrome.alarms.create(SESSION_ALARM, { when: session.phaseEndsAt });
+    clearAllowances();
+    broadcast({ type: 'SESSION_CHANGED', phase: session.phase });
+    if (callback) callback(session);
+  });
+}
+
+function stopSession(callback) {
+  chrome.alarms.clear(SESSION_ALARM);
+  chrome.storage.local.set({ focusSession: null }, () => {
+    broadcast({ type: 'SESSION_CHANGED', phase: null });
+    if (callback) callback();
+  });
+}
+
+// Move to the next phase. If the worker was asleep through several
+// phase boundaries, skip ahead until the current phase is in the future.
+function advanceSession() {
+  chrome.storage.local.get('focusSession', (data) => {
+    const session = data.focusSession;
+    if (!session) return;
+
+    // Small tolerance in case the alarm fires a moment early
+    const now = Date.now() + 1000;
+    while (session.phaseEndsAt <= now) {
+      if (session.phase === 'work') {
+        session.phase = 'break';
+        session.phaseEndsAt += session.breakMinutes * 60000;
+      } else {
+        session.phase = 'work';
+        session.phaseEndsAt += session.workMinutes * 60000;
+        session.cycle++;
+      }
+    }
+
+    chrome.storage.local.set({ focusSession: session }, () => {
+      chrome.alarms.create(SESSION_ALARM, { when: session.phaseEndsAt });
+      // Allowances granted during a break don't carry into work
+      if (session.phase === 'work') clearAllowances();
+      broadcast({ type: 'SESSION_CHANGED', phase: session.phase });
+    });
+  });
+}
+
+// Alarms may not survive a browser restart; re-arm from storage
+function resumeSession() {
+  chrome.storage.local.get('focusSession', (data) => {
+    if (!data.focusSession) return;
+    chrome.alarms.get(SESSION_ALARM, (alarm) => {
+      if (!alarm) advanceSession();
+    });
+  });
+}
+
+// ── Commitment Lock ─────────────────────────────────────
+// A lock keeps protection on until a set time: while it holds, pausing
+// protection and clearing the goal are refused here, whatever sent
+// them. Locks can be extended but not shortened. A lock may allow an
+// emergency unlock when it starts, which takes typing UNLOCK_PHRASE
+// and then waiting EMERGENCY_UNLOCK_MINUTES.
+//
+// commitLock = { startedAt, until, emergencyUnlock, unlockAt }
+// where unlockAt is set while an emergency unlock is waiting.
+
+const LOCK_ALARM = 'ff-lock';
+const MAX_LOCK_HOURS = 24;
+const EMERGENCY_UNLOCK_MINUTES = 15;
+const UNLOCK_PHRASE = 'I am choosing to break my commitment and give up on this focus block';
+
+// The lock in force, or null once it has run out or been unlocked
+function activeLock(lock, now = Date.now()) {
+  if (!lock || lock.until <= now) return null;
+  if (lock.unlockAt && lock.unlockAt <= now) return null;
+  return lock;
+}
+
+// Why a message is refused, or null when no lock holds
+function lockError(lock, refusal) {
+  lock = activeLock(lock);
+  return lock ? `Protection is locked until ${formatClock(lock.until)}, so ${refusal}.` : null;
+}
+
+function startLock(until, emergencyUnlock, callback) {
+  chrome.storage.local.get(['commitLock', 'isEnabled'], (data) => {
+    const current = activeLock(data.commitLock);
+    if (current && until < current.until) {
+      callback({ success: false, error: `Already locked until ${formatClock(current.until)}. A lock can only be extended.` });
+      return;
+    }
+
+    // Extending can't add an emergency unlock the lock started without
+    const lock = {
+      startedAt: current ? current.startedAt : Date.now(),
+      until,
+      emergencyUnlock: current ? current.emergencyUnlock && emergencyUnlock : emergencyUnlock,
+      unlockAt: null
+    };
+    chrome.storage.local.set({ commitLock: lock, isEnabled: true, snoozeUntil: null }, () => {
+      chrome.alarms.create(LOCK_ALARM, { when: until });
+      chrome.alarms.clear(SNOOZE_ALARM);
+      // Locking turns protection back on if it was paused or snoozed
+      if (data.isEnabled === false) broadcast({ type: 'TOGGLE_CHANGED', isEnabled: true });
+      callback({ success: true, lock });
+    });
+  });
+}
+
+// Typing the phrase only starts the wait; the lock ends when it's over
+function requestUnlock(phrase, callback) {
+  chrome.storage.local.get('commitLock', (data) => {
+    const lock = activeLock(data.commitLock);
+    if (!lock) {
+      callback({ success: true, lock: null });
+      return;
+    }
+    if (!lock.emergencyUnlock) {
+      callback({ success: false, error: 'This lock was started without an emergency unlock.' });
+      return;
+    }
+    const normalize = text => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (normalize(phrase) !== normalize(UNLOCK_PHRASE)) {
+      callback({ success: false, error: "That doesn't match the phrase." });
+      return;
+    }
+
+    if (!lock.unlockAt) lock.unlockAt = Date.now() + EMERGENCY_UNLOCK_MINUTES * 60000;
+    chrome.storage.local.set({ commitLock: lock }, () => {
+      chrome.alarms.create(LOCK_ALARM, { when: Math.min(lock.until, lock.unlockAt) });
+      callback({ success: true, lock });
+    });
+  });
+}
+
+function cancelUnlock(callback) {
+  chrome.storage.local.get('commitLock', (data) => {
+    const lock = activeLock(data.commitLock);
+    if (!lock) {
+      callback({ success: true, lock: null });
+      return;
+    }
+    lock.unlockAt = null;
+    chrome.storage.local.set({ commitLock: lock }, () => {
+      chrome.alarms.create(LOCK_ALARM, { when: lock.until });
+      callback({ success: true, lock });
+    });
+  });
+}
+
+// Drop a lock that has ended; re-arm the alarm for one still running
+// (alarms may not survive a browser restart)
+function checkLock() {
+  chrome.storage.local.get('commitLock', (data) => {
+    if (!data.commitLock) return;
+    const lock = activeLock(data.commitLock);
+    if (!lock) {
+      chrome.alarms.clear(LOCK_ALARM);
+      chrome.storage.local.set({ commitLock: null });
+      return;
+    }
+    chrome.alarms.create(LOCK_ALARM, { when: Math.min(lock.until, lock.unlockAt || Infinity) });
+  });
+}
+
+// ── Protection Toggle & Snooze ──────────────────────────
+// A snooze pauses protection and turns it back on by itself:
+// snoozeUntil is when, and SNOOZE_ALARM does it. Turning protection on
+// by hand ends a snooze early. Neither pausing nor snoozing gets past
+// a commitment lock.
+
+const SNOOZE_ALARM = 'ff-snooze';
+const SNOOZE_MINUTES = 10;
+
+function setEnabled(isEnabled, callback) {
+  chrome.storage.local.get('commitLock', (data) => {
+    const error = !isEnabled && lockError(data.commitLock, "it can't be paused");
+    if (error) {
+      callback({ success: false, error });
+      return;
+    }
+    chrome.alarms.clear(SNOOZE_ALARM);
+    chrome.storage.local.set({ isEnabled, snoozeUntil: null }, () => {
+      // Notify all tabs so content scripts enable/disable immediately
+      broadcast({ type: 'TOGGLE_CHANGED', isEnabled });
+      callback({ success: true });
+    });
+  });
+}
+
+function snooze(minutes, callback) {
+  chrome.storage.local.get('commitLock', (data) => {
+    const error = lockError(data.commitLock, "it can't be snoozed");
+    if (error) {
+      callback({ success: false, error });
+      return;
+    }
+    const snoozeUntil = Date.now() + minutes * 60000;
+    chrome.storage.local.set({ isEnabled: false, snoozeUntil }, () => {
+      chrome.alarms.create(SNOOZE_ALARM, { when: snoozeUntil });
+      broadcast({ type: 'TOGGLE_CHANGED', isEnabled: false });
+      callback({ success: true, snoozeUntil });
+    });
+  });
+}
+
+// Wake up from a snooze that is over; re-arm one still running
+function checkSnooze() {
+  chrome.storage.local.get('snoozeUntil', (data) => {
+    if (!data.snoozeUntil) return;
+    if (data.snoozeUntil > Date.now()) {
+      chrome.alarms.create(SNOOZE_ALARM, { when: data.snoozeUntil });
+    } else {
+      setEnabled(true, () => {});
+    }
+  });
+}
+
+// ── Keyboard Shortcuts ──────────────────────────────────
+// Commands are declared in manifest.json; users can rebind them at
+// chrome://extensions/shortcuts. Pressing one grants activeTab, which
+// lets us show the palette or a confirmation on whatever page is open.
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  switch (command) {
+    case 'toggle-protection':
+      chrome.storage.local.get('isEnabled', (data) => {
+        const isEnabled = data.isEnabled === false;
+        setEnabled(isEnabled, (result) => {
+          showPageToast(tab, result.success
+            ? (isEnabled ? '🛡 Protection on' : '⏸ Protection paused')
+            : `🔒 ${result.error}`);
+        });
+      });
+      break;
+
+    case 'snooze-protection':
+      snooze(SNOOZE_MINUTES, (result) => {
+        showPageToast(tab, result.success
+          ? `⏸ Snoozed until ${formatClock(result.snoozeUntil)}`
+          : `🔒 ${result.error}`);
+      });
+      break;
+
+    case 'quick-goal':
+      if (tab && tab.id !== undefined) {
+        chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content/palette.js'] })
+          .catch(() => {}); // chrome:// pages, the Web Store, etc.
+      }
+      break;
+
+    default:
+      break;
+  }
+});
+
+function showPageToast(tab, text) {
+  if (!tab || tab.id === undefined) return;
+  chrome.scripting.executeScript({ target: { tabId: tab.id }, func: pageToast, args: [text] })
+    .catch(() => {});
+}
+
+// Runs in the page, so it can't use anything from this file
+function pageToast(text) {
+  const id = 'ff-shortcut-toast';
+  const old = document.getElementById(id);
+  if (old) old.remove();
+
+  const host = document.createElement('div');
+  host.id = id;
+  host.style.cssText = 'position: fixed !important; top: 20px !important; left: 50% !important;' +
+    'transform: translateX(-50%) !important; z-index: 2147483647 !important;';
+  const toast = document.createElement('div');
+  toast.textContent = text;
+  toast.style.cssText = 'padding: 10px 20px; border-radius: 10px; background: #1565C0; color: #fff;' +
+    'font: 500 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;' +
+    'box-shadow: 0 8px 24px rgba(0, 0, 0, 0.35); max-width: 420px;';
+  host.attachShadow({ mode: 'closed' }).appendChild(toast);
+  document.documentElement.appendChild(host);
+  setTimeout(() => host.remove(), 2500);
+}
+
+// ── Context Menus ───────────────────────────────────────
+// Right-click shortcuts. Menus persist across worker restarts, so
+// they're only (re)built on install and update; the "Allow this page"
+// entry follows the site list. Every action goes through the same
+// functions as the popup, so tabs update through the usual broadcasts.
+
+const MENU_SET_GOAL = 'ff-set-goal';
+const MENU_ALLOW_CHANNEL = 'ff-allow-channel';
+const MENU_ON_TOPIC = 'ff-on-topic';
+const MENU_ALLOW_PAGE = 'ff-allow-page';
+
+const PAGE_ALLOWANCE_MINUTES = 10;
+const MAX_GOAL_LENGTH = 200;
+const YOUTUBE_VIDEO_LINKS = ['*://*.youtube.com/watch*', '*://*.youtube.com/shorts/*'];
+
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: MENU_SET_GOAL,
+      title: 'Set "%s" as focus goal',
+      contexts: ['selection']
+    });
+    // Video links on YouTube itself, where youtube.js can read the channel
+    const videoLink = {
+      contexts: ['link'],
+      documentUrlPatterns: originsFor('youtube.com'),
+      targetUrlPatterns: YOUTUBE_VIDEO_LINKS
+    };
+    chrome.contextMenus.create({ id: MENU_ALLOW_CHANNEL, title: 'Always allow this channel', ...videoLink });
+    chrome.contextMenus.create({ id: MENU_ON_TOPIC, title: 'Mark as on-topic for current goal', ...videoLink });
+    chrome.contextMenus.create({
+      id: MENU_ALLOW_PAGE,
+      title: `Allow this page for ${PAGE_ALLOWANCE_MINUTES} minutes`,
+      contexts: ['page'],
+      visible: false
+    }, updatePageMenu);
+  });
+}
+
+// Only sites that interrupt somewhere have anything to allow
+function updatePageMenu() {
+  chrome.storage.local.get('sites', (data) => {
+    const patterns = (data.sites || DEFAULT_SITES)
+      .filter(site => site.mode === 'interrupt' || (site.routes || []).some(r => r.action === 'interrupt'))
+      .flatMap(site => originsFor(site.domain));
+    const update = patterns.length > 0 ? { visible: true, documentUrlPatterns: patterns } : { visible: false };
+    // Reading lastError quiets the warning when the menu isn't built yet
+    chrome.contextMenus.update(MENU_ALLOW_PAGE, update, () => chrome.runtime.lastError);
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  switch (info.menuItemId) {
+    case MENU_SET_GOAL: {
+      const goal = info.selectionText.trim().replace(/\s+/g, ' ').slice(0, MAX_GOAL_LENGTH);
+      if (goal) applyGoal(goal, null, () => showPageToast(tab, `🎯 Focus goal: ${goal}`));
+      break;
+    }
+
+    case MENU_ALLOW_CHANNEL:
+      describeVideo(tab, info, (video) => {
+        if (!video.channel) {
+          showPageToast(tab, "Couldn't find this video's channel");
+          return;
+        }
+        allowChannel(video.channel, (terms) => {
+          showPageToast(tab, terms
+            ? `✓ ${video.channel} is always allowed for this goal`
+            : 'Set a focus goal first');
+        });
+      });
+      break;
+
+    case MENU_ON_TOPIC:
+      describeVideo(tab, info, (video) => {
+        markOnTopic(video.title, (terms) => {
+          showPageToast(tab, terms ? '✓ Marked on-topic for this goal' : 'Set a focus goal first');
+        });
+      });
+      break;
+
+    case MENU_ALLOW_PAGE:
+      allowPage(info.pageUrl, (message) => showPageToast(tab, message));
+      break;
+
+    default:
+      break;
+  }
+});
+
+// Title and channel of the video link that was right-clicked, as read
+// by youtube.js; only calls back when there is at least a title
+function describeVideo(tab, info, callback) {
+  if (!tab || tab.id === undefined) return;
+  chrome.tabs.sendMessage(tab.id, { type: 'DESCRIBE_VIDEO' }, { frameId: info.frameId }, (video) => {
+    if (chrome.runtime.lastError || !video || !video.title) {
+      showPageToast(tab, "Couldn't read this video. Try again once the page has loaded.");
+      return;
+    }
+    callback(video);
+  });
+}
+
+// A longer allowance, no friction: same rules as Continue otherwise
+// (shared by the site's tabs, counts toward the budget)
+function allowPage(url, callback) {
+  chrome.storage.local.get(['sites', 'focusSession'], (data) => {
+    const site = findSite(data.sites, url);
+    if (!site) {
+      callback("⚠ This page isn't on a guarded site");
+      return;
+    }
+    if (data.focusSession && data.focusSession.phase === 'work') {
+      callback('⏱ Focus session in progress. This site unlocks at your next break.');
+      return;
+    }
+    startAllowance(site.domain, PAGE_ALLOWANCE_MINUTES, { friction: false }, (expiresAt) => {
+      callback(expiresAt
+        ? `✓ ${site.name} allowed until ${formatClock(expiresAt)}`
+        : `⛔ Today's ${site.name} budget is used up`);
+    });
+  });
+}
+
+// ── Toolbar Badge ───────────────────────────────────────
+// The toolbar icon shows each tab's status, most urgent first:
+//   OFF   protection paused or snoozed
+//   4m    minutes left on the site's Continue allowance
+//   12    items the feed filter has blurred or hidden on the page
+// Feed-filter tabs report their count after every scan (PAGE_FILTERED);
+// counts live in session storage as badgeCounts = { [tabId]: n } so a
+// restarted worker can still redraw them.
+
+const BADGE_ALARM = 'ff-badge';
+
+const BADGE_COLORS = {
+  paused: '#607D8B',
+  allowance: '#F57C00',
+  filtered: '#1976D2'
+};
+
+function setPageCount(tabId, count) {
+  queueWrite((done) => {
+    chrome.storage.session.get('badgeCounts', (data) => {
+      const badgeCounts = data.badgeCounts || {};
+      if ((badgeCounts[tabId] || 0) === count) {
+        done();
+        refreshBadges(tabId); // The URL may have moved onto a site with an allowance
+        return;
+      }
+      if (count > 0) {
+        badgeCounts[tabId] = count;
+      } else {
+        delete badgeCounts[tabId];
+      }
+      chrome.storage.session.set({ badgeCounts }, () => {
+        done();
+        refreshBadges(tabId);
+      });
+    });
+  });
+}
+
+// Redraw one tab's badge, or every tab's when `tabId` is left out
+function refreshBadges(tabId) {
+  chrome.storage.local.get(['isEnabled', 'socialTimers', 'sites'], (data) => {
+    chrome.storage.session.get('badgeCounts', ({ badgeCounts }) => {
+      const paused = data.isEnabled === false;
+      // New tabs start from the global badge
+      if (tabId === undefined) setBadge(undefined, paused ? 'OFF' : '', BADGE_COLORS.paused);
+
+      chrome.tabs.query({}, (tabs) => {
+        tabs
+          .filter(tab => tabId === undefined || tab.id === tabId)
+          .forEach(tab => {
+            const [text, color] = badgeFor(tab, data, (badgeCounts || {})[tab.id]);
+            setBadge(tab.id, text, color);
+          });
+      });
+      scheduleBadgeTick(data.socialTimers);
+    });
+  });
+}
+
+function badgeFor(tab, data, count) {
+  if (data.isEnabled === false) return ['OFF', BADGE_COLORS.paused];
+
+  const site = tab.url && findSite(data.sites, tab.url);
+  const expiresAt = site && getAllowance(data.socialTimers, site.domain);
+  if (expiresAt) return [`${Math.ceil((expiresAt - Date.now()) / 60000)}m`, BADGE_COLORS.allowance];
+
+  if (count > 0) return [count > 99 ? '99+' : String(count), BADGE_COLORS.filtered];
+  return ['', BADGE_COLORS.filtered];
+}
+
+function setBadge(tabId, text, color) {
+  chrome.action.setBadgeText({ tabId, text }).catch(() => {}); // Tab closed meanwhile
+  if (text) chrome.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+}
+
+// While an allowance runs, wake up when its minutes-left figure changes
+function scheduleBadgeTick(socialTimers) {
+  const now = Date.now();
+  const ticks = Object.values(socialTimers || {})
+    .filter(timer => timer.expiresAt > now)
+    .map(timer => {
+      const minutesLeft = Math.ceil((timer.expiresAt - now) / 60000);
+      return timer.expiresAt - (minutesLeft - 1) * 60000;
+    });
+  if (ticks.length > 0) {
+    chrome.alarms.create(BADGE_ALARM, { when: Math.min(...ticks) });
+  } else {
+    chrome.alarms.clear(BADGE_ALARM);
+  }
+}
+
+// Full page loads and single-page navigations both start a new count;
+// the page's content script reports again after its next scan
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) setPageCount(tabId, 0);
+});
+
+chrome.tabs.onActivated.addListener(({ tabId }) => refreshBadges(tabId));
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  queueWrite((done) => {
+    chrome.storage.session.get('badgeCounts', (data) => {
+      const badgeCounts = data.badgeCounts || {};
+      if (!(tabId in badgeCounts)) {
+        done();
+        return;
+      }
+      delete badgeCounts[tabId];
+      chrome.storage.session.set({ badgeCounts }, done);
+    });
+  });
+});
+
+// ── Social Allowances & Daily Budgets ───────────────────
+// "Continue 5 min" grants one allowance per site, shared by every tab
+// of that site. Expiry is stored in socialTimers = { [site]: { expiresAt } }
+// and enforced by an alarm, so reloads and new tabs see the same countdown
+// and every tab gets the modal back at the same moment.
+//
+// A site may also have a daily budget (socialBudgets = { [site]: minutes }).
+// Visible browsing time during an allowance is charged against it; once
+// it is used up the site is hard-blocked (socialBlocks = { [site]: until })
+// until midnight or for a cooldown, depending on budgetSettings.reset.
+//
+// Continue itself has friction (frictionSettings): a wait before the
+// button unlocks, which grows with each Continue used that day on any
+// site, and optionally typing the goal or a reason. Every Continue is
+// logged in continueLog = [{ site, goal, reason, at }] so typed reasons
+// can be reviewed on the options page.
+
+const ALLOWANCE_MINUTES = 5;
+const ALLOWANCE_ALARM_PREFIX = 'ff-allowance:';
+const UNBLOCK_ALARM_PREFIX = 'ff-unblock:';
+
+const ALLOWANCE_KEYS = [
+  'socialTimers', 'socialBudgets', 'budgetSettings', 'budgetUsage', 'socialBlocks',
+  'frictionSettings', 'continueLog'
+];
+
+const FRICTION_TYPING = ['none', 'goal', 'reason'];
+const MAX_FRICTION_WAIT = 300; // Escalation stops at 5 minutes
+const CONTINUE_LOG_LIMIT = 500;
+
+function getAllowance(socialTimers, site) {
+  const timer = (socialTimers || {})[site];
+  return timer && timer.expiresAt > Date.now() ? timer.expiresAt : null;
+}
+
+// Usage counters reset themselves when the day changes
+function todayUsage(budgetUsage) {
+  const day = dayKey();
+  return budgetUsage && budgetUsage.day === day ? budgetUsage : { day, seconds: {} };
+}
+
+// { minutes, usedSeconds, blockedUntil } for a site; minutes 0 = no budget
+function getBudgetStatus(data, site) {
+  const until = (data.socialBlocks || {})[site] || 0;
+  return {
+    minutes: (data.socialBudgets || {})[site] || 0,
+    usedSeconds: todayUsage(data.budgetUsage).seconds[site] || 0,
+    blockedUntil: until > Date.now() ? until : null
+  };
+}
+
+// What the modal asks before Continue: { waitSeconds, typing, continuesToday }
+function getFriction(data) {
+  const settings = data.frictionSettings || FFSettings.DEFAULTS.frictionSettings;
+  const today = dayKey();
+  const continuesToday = (data.continueLog || [])
+    .filter(entry => dayKey(new Date(entry.at)) === today)
+    .length;
+  return {
+    waitSeconds: Math.min(MAX_FRICTION_WAIT, settings.waitSeconds + settings.stepSeconds * continuesToday),
+    typing: settings.typing,
+    continuesToday
+  };
+}
+
+function notifyAllowance(data, site) {
+  broadcast({
+    type: 'ALLOWANCE_CHANGED',
+    site,
+    expiresAt: getAllowance(data.socialTimers, site),
+    budget: getBudgetStatus(data, site),
+    friction: getFriction(data)
+  });
+}
+
+// Callback receives the new expiry, or null if the site is blocked.
+// `reason` is whatever the user typed to get past the modal, if asked.
+// `friction: false` (page allowances from the context menu) marks one
+// that isn't a Continue override: it stays out of continueLog, so it
+// doesn't lengthen the next Continue wait, and out of the goal
+// session's override count
+function startAllowance(site, minutes, { reason = '', friction = true }, callback) {
+  queueWrite((done) => {
+    chrome.storage.local.get(['focusGoal', ...ALLOWANCE_KEYS], (data) => {
+      if (getBudgetStatus(data, site).blockedUntil) {
+        done();
+        if (callback) callback(null);
+        return;
+      }
+
+      const socialTimers = data.socialTimers || {};
+      const expiresAt = Date.now() + minutes * 60000;
+      socialTimers[site] = { expiresAt };
+
+      const update = { socialTimers };
+      if (friction) {
+        const cutoff = daysAgo(STATS_RETENTION_DAYS).getTime();
+        const continueLog = (data.continueLog || []).filter(entry => entry.at >= cutoff);
+        continueLog.push({ site, goal: data.focusGoal || '', reason: reason.slice(0, 200), at: Date.now() });
+        update.continueLog = continueLog.slice(-CONTINUE_LOG_LIMIT);
+      }
+
+      chrome.storage.local.set(update, () => {
+        chrome.alarms.create(ALLOWANCE_ALARM_PREFIX + site, { when: expiresAt });
+        notifyAllowance({ ...data, ...update }, site);
+        if (friction) tallyGoalSession('overrides', 1);
+        done();
+        if (callback) callback(expiresAt);
+      });
+    });
+  });
+}
+
+function expireAllowance(site) {
+  chrome.alarms.clear(ALLOWANCE_ALARM_PREFIX + site);
+  queueWrite((done) => {
+    chrome.storage.local.get(ALLOWANCE_KEYS, (data) => {
+      const socialTimers = data.socialTimers || {};
+      delete socialTimers[site];
+      chrome.storage.local.set({ socialTimers }, () => {
+        notifyAllowance({ ...data, socialTimers }, site);
+        done();
+      });
+    });
+  });
+}
+
+// Expire every site at once (single write, so nothing races)
+function clearAllowances() {
+  queueWrite((done) => {
+    chrome.storage.local.get(ALLOWANCE_KEYS, (data) => {
+      const sites = Object.keys(data.socialTimers || {});
+      if (sites.length === 0) return done();
+      sites.forEach(site => chrome.alarms.clear(ALLOWANCE_ALARM_PREFIX + site));
+      chrome.storage.local.set({ socialTimers: {} }, () => {
+        sites.forEach(site => notifyAllowance({ ...data, socialTimers: {} }, site));
+        done();
+      });
+    });
+  });
+}
+
+// Charge visible browsing time to the site's budget. Only time inside
+// an allowance counts; exhausting the budget ends the allowance and
+// blocks the site.
+function chargeBudget(site, seconds) {
+  queueWrite((done) => {
+    chrome.storage.local.get(ALLOWANCE_KEYS, (data) => {
+      if (!getAllowance(data.socialTimers, site)) return done();
+
+      const budgetUsage = todayUsage(data.budgetUsage);
+      budgetUsage.seconds[site] = (budgetUsage.seconds[site] || 0) + seconds;
+      const update = { budgetUsage };
+
+      const limit = (data.socialBudgets || {})[site] || 0;
+      if (limit > 0 && budgetUsage.seconds[site] >= limit * 60) {
+        const settings = data.budgetSettings || {};
+        const until = settings.reset === 'cooldown'
+          ? Date.now() + (settings.cooldownMinutes || 60) * 60000
+          : nextMidnight();
+
+        update.socialBlocks = { ...(data.socialBlocks || {}), [site]: until };
+        update.socialTimers = { ...(data.socialTimers || {}) };
+        delete update.socialTimers[site];
+
+        chrome.alarms.clear(ALLOWANCE_ALARM_PREFIX + site);
+        chrome.alarms.create(UNBLOCK_ALARM_PREFIX + site, { when: until });
+      }
+
+      chrome.storage.local.set(update, () => {
+        if (update.socialBlocks) notifyAllowance({ ...data, ...update }, site);
+        done();
+      });
+    });
+  });
+}
+
+// Block over: after a cooldown the site starts a fresh budget;
+// after midnight the usage has already rolled over with the day.
+function unblockSite(site) {
+  queueWrite((done) => {
+    chrome.storage.local.get(ALLOWANCE_KEYS, (data) => {
+      const socialBlocks = { ...(data.socialBlocks || {}) };
+      delete socialBlocks[site];
+
+      const budgetUsage = todayUsage(data.budgetUsage);
+      delete budgetUsage.seconds[site];
+
+      chrome.storage.local.set({ socialBlocks, budgetUsage }, () => {
+        notifyAllowance({ ...data, socialBlocks, budgetUsage }, site);
+        done();
+      });
+    });
+  });
+}
+
+function nextMidnight() {
+  const date = new Date();
+  date.setHours(24, 0, 0, 0);
+  return date.getTime();
+}
+
+// { 'instagram.com': '15' } → { 'instagram.com': 15 }, at most a day each
+function sanitizeBudgets(input) {
+  const budgets = {};
+  Object.entries(input || {}).forEach(([site, minutes]) => {
+    minutes = Math.round(Number(minutes));
+    if (site && minutes > 0) budgets[site] = Math.min(minutes, 24 * 60);
+  });
+  return budgets;
+}
+
+function sanitizeFriction(input) {
+  const seconds = (value, max) => Math.min(max, Math.max(0, Math.round(Number(value) || 0)));
+  return {
+    waitSeconds: seconds(input && input.waitSeconds, 120),
+    stepSeconds: seconds(input && input.stepSeconds, 60),
+    typing: FRICTION_TYPING.includes(input && input.typing) ? input.typing : 'none'
+  };
+}
+
+function sanitizeBudgetSettings(input) {
+  return {
+    reset: input && input.reset === 'cooldown' ? 'cooldown' : 'midnight',
+    cooldownMinutes: Math.min(24 * 60, Math.max(1,
+      Math.round(Number(input && input.cooldownMinutes) || 60)))
+  };
+}
+
+// ── Guarded Sites ───────────────────────────────────────
+// sites = [{ domain, name, mode, filterStyle, routes }] where mode is 'interrupt'
+// (social modal) or 'filter' (goal-based feed filtering), and filterStyle
+// is how filter mode treats off-goal items (see FILTER_STYLES). routes
+// override the mode for parts of the site, see lib/navigation.js. Content scripts are registered
+// at runtime from this list; user-added domains need an optional host
+// permission, which the options page requests before adding them.
+
+const DEFAULT_SITES = FFSettings.DEFAULTS.sites;
+
+const FILTER_STYLES = ['blur', 'dim', 'collapse', 'hide'];
+
+const ROUTE_ACTIONS = ['allow', 'interrupt', 'hide'];
+const MAX_ROUTES = 50;
+
+const SCRIPT_ID_PREFIX = 'ff-site:';
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+// Sites with a feed-filter adapter, and the scripts it needs
+const FEED_FILTER_CORE = ['lib/navigation.js', 'lib/relevance.js', 'content/feed-filter.js'];
+const FEED_FILTER_SCRIPTS = {
+  'youtube.com':          [...FEED_FILTER_CORE, 'content/youtube.js'],
+  'reddit.com':           [...FEED_FILTER_CORE, 'content/reddit.js'],
+  'x.com':                [...FEED_FILTER_CORE, 'content/x.js'],
+  'twitter.com':          [...FEED_FILTER_CORE, 'content/x.js'],
+  'news.ycombinator.com': [...FEED_FILTER_CORE, 'content/hackernews.js'],
+  // Surgical mode: also hides Stories, Reels, suggested and sponsored posts
+  'instagram.com':        [...FEED_FILTER_CORE, 'content/instagram.js'],
+  'facebook.com':         [...FEED_FILTER_CORE, 'content/facebook.js']
+};
+
+// "*.example.com" also matches example.com itself
+function originsFor(domain) {
+  return [`*://*.${domain}/*`];
+}
+
+// Configured site covering a URL (subdomains included), or null
+function findSite(sites, url) {
+  const host = siteKey(url);
+  return (sites || DEFAULT_SITES).find(site =>
+    host === site.domain || host.endsWith('.' + site.domain)
+  ) || null;
+}
+
+// Content script registration for a site, or null if its mode is unsupported
+function toContentScript(site) {
+  const base = {
+    id: SCRIPT_ID_PREFIX + site.domain,
+    matches: originsFor(site.domain),
+    runAt: 'document_idle',
+    persistAcrossSessions: true
+  };
+  // social.js guards routes on every site: on a filter-mode site it only
+  // times visits for the goal journal unless a route rule says
+  // 'interrupt' or 'hide'
+  const css = ['styles/modal.css'];
+  if (site.mode === 'filter') {
+    const js = FEED_FILTER_SCRIPTS[site.domain];
+    return js ? { ...base, js: [...js, 'content/social.js'], css } : null;
+  }
+  return { ...base, js: ['lib/navigation.js', 'content/social.js'], css };
+}
+
+// Re-register every site's content script from storage. Runs are
+// chained so overlapping calls can't register the same ID twice.
+let scriptSync = Promise.resolve();
+let scriptSyncError = null; // Why the last run failed, shown on the options page
+
+function syncContentScripts(callback) {
+  scriptSync = scriptSync
+    .then(() => chrome.storage.local.get('sites'))
+    .then((data) => {
+      const sites = data.sites || DEFAULT_SITES;
+      return chrome.scripting.getRegisteredContentScripts()
+        .then((registered) => {
+          const ids = registered.map(s => s.id).filter(id => id.startsWith(SCRIPT_ID_PREFIX));
+          return ids.length > 0 ? chrome.scripting.unregisterContentScripts({ ids }) : null;
+        })
+        // Skip sites whose host permission was never granted or was revoked
+        .then(() => Promise.all(sites.map(site =>
+          chrome.permissions.contains({ origins: originsFor(site.domain) })
+            .then(granted => (granted ? toContentScript(site) : null))
+        )))
+        .then((scripts) => {
+          scripts = scripts.filter(Boolean);
+          return scripts.length > 0 ? chrome.scripting.registerContentScripts(scripts) : null;
+        });
+    })
+    .then(() => { scriptSyncError = null; })
+    .catch((err) => { scriptSyncError = String((err && err.message) || err); })
+    .then(() => {
+      if (callback) callback();
+    });
+}
+
+// Validate a site from the options page. Returns { site } or { error }.
+function sanitizeSite(input) {
+  const domain = String((input && input.domain) || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')  // Drop protocol
+    .replace(/[/?#].*$/, '')       // Drop path
+    .replace(/^www\./, '');
+
+  if (!DOMAIN_PATTERN.test(domain)) {
+    return { error: 'Enter a domain like reddit.com' };
+  }
+
+  const mode = input.mode === 'filter' ? 'filter' : 'interrupt';
+  const filterStyle = FILTER_STYLES.includes(input.filterStyle) ? input.filterStyle : 'blur';
+  if (mode === 'filter' && !FEED_FILTER_SCRIPTS[domain]) {
+    return { error: `Feed filtering isn't available for ${domain} yet.` };
+  }
+
+  // "news.ycombinator.com" → "Ycombinator"
+  const label = domain.split('.').slice(-2, -1)[0];
+  const name = String(input.name || '').trim() || label.charAt(0).toUpperCase() + label.slice(1);
+  return { site: { domain, name, mode, filterStyle, routes: sanitizeRoutes(input.routes) } };
+}
+
+// "Messages/" → "/messages", "" → "/" (the home feed). A later rule
+// for the same path replaces an earlier one.
+function sanitizeRoutes(routes) {
+  if (!Array.isArray(routes)) return [];
+  const byPath = new Map();
+  routes.forEach(rule => {
+    if (!rule || !ROUTE_ACTIONS.includes(rule.action)) return;
+    const path = '/' + String(rule.path || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[?#].*$/, '')
+      .replace(/^\/+|\/+$/g, '');
+    byPath.set(path, { path, action: rule.action });
+  });
+  return [...byPath.values()].slice(0, MAX_ROUTES);
+}
+
+// ── Watch-Page Overrides ────────────────────────────────
+// "Watch anyway" choices from the YouTube interstitial, kept in
+// session storage so they last until the browser closes:
+// videoOverrides = { [videoId]: { title, reason, goal, at } }
+
+const VIDEO_ID_PATTERN = /^[\w-]{6,20}$/;
+
+function allowVideo(videoId, title, reason, callback) {
+  queueWrite((done) => {
+    chrome.storage.session.get('videoOverrides', (data) => {
+      chrome.storage.local.get('focusGoal', ({ focusGoal }) => {
+        const videoOverrides = data.videoOverrides || {};
+        videoOverrides[videoId] = {
+          title: String(title || '').slice(0, 200),
+          reason: String(reason).slice(0, 120),
+          goal: focusGoal || '',
+          at: Date.now()
+        };
+        chrome.storage.session.set({ videoOverrides }, () => {
+          tallyGoalSession('overrides', 1);
+          done();
+          if (callback) callback();
+        });
+      });
+    });
+  });
+}
+
+// ── Reveal Log & Include Suggestions ────────────────────
+// revealLog = [{ title, goal: goalKey, site, at }], newest last. Words
+// that keep showing up in revealed titles are probably on-topic, so the
+// popup offers them as include terms for the goal.
+
+const REVEAL_LOG_LIMIT = 500;
+const SUGGESTION_MIN_REVEALS = 2;
+const SUGGESTION_LIMIT = 5;
+
+function logReveal(title, goal, site) {
+  queueWrite((done) => {
+    chrome.storage.local.get('revealLog', (data) => {
+      const cutoff = daysAgo(STATS_RETENTION_DAYS).getTime();
+      const revealLog = (data.revealLog || []).filter(entry => entry.at >= cutoff);
+      revealLog.push({ title: String(title).slice(0, 200), goal: goalKey(goal), site, at: Date.now() });
+      chrome.storage.local.set({ revealLog: revealLog.slice(-REVEAL_LOG_LIMIT) }, done);
+    });
+  });
+}
+
+// Keywords found in at least SUGGESTION_MIN_REVEALS revealed titles for
+// the goal, most frequent first, minus anything the goal already covers
+function suggestIncludeTerms(revealLog, goal, terms) {
+  const key = goalKey(goal);
+  const stems = text => FFRelevance.tokenize(text).map(FFRelevance.stem);
+  const known = new Set([
+    ...stems(goal),
+    ...terms.include.flatMap(stems),
+    ...terms.exclude.flatMap(stems)
+  ]);
+
+  const counts = new Map(); // stem → { term, count }
+  (revealLog || []).filter(entry => entry.goal === key).forEach(entry => {
+    const seen = new Set();
+    FFRelevance.extractKeywords(entry.title).forEach(word => {
+      const stem = FFRelevance.stem(word);
+      if (known.has(stem) || seen.has(stem) || /^\d+$/.test(word)) return;
+      seen.add(stem);
+      const suggestion = counts.get(stem) || { term: word, count: 0 };
+      suggestion.count++;
+      counts.set(stem, suggestion);
+    });
+  });
+
+  return [...counts.values()]
+    .filter(suggestion => suggestion.count >= SUGGESTION_MIN_REVEALS)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, SUGGESTION_LIMIT);
+}
+
+// ── Protection Statistics ───────────────────────────────
+// stats = { [day]: { [goalKey]: counters } }, where counters are
+// { videosBlurred, videosRevealed, modalsShown, goBackClicks,
+//   continueClicks, socialSeconds: { [site]: seconds } }.
+
+const STATS_RETENTION_DAYS = 30;
+
+// Most a single TRACK_EVENT may add: plenty for a full feed scan or a
+// few minutes of social time, and a cap on what a bad message can do
+const MAX_EVENT_COUNT = 1000;
+
+// Content-script event name → counter it increments
+const STAT_EVENTS = {
+  videoBlurred:  'videosBlurred',
+  videoRevealed: 'videosRevealed',
+  itemBlurred:   'itemsBlurred',   // Feed items on sites other than YouTube
+  itemRevealed:  'itemsRevealed',
+  itemHidden:    'itemsHidden',    // Stories, Reels, sponsored posts, ...
+  modalShown:    'modalsShown',
+  goBack:        'goBackClicks',
+  continue:      'continueClicks'
+};
+
+function emptyCounters() {
+  return {
+    videosBlurred: 0,
+    videosRevealed: 0,
+    itemsBlurred: 0,
+    itemsRevealed: 0,
+    itemsHidden: 0,
+    modalsShown: 0,
+    goBackClicks: 0,
+    continueClicks: 0,
+    socialSeconds: {}
+  };
+}
+
+function recordEvent(event, count, site) {
+  queueWrite((done) => {
+    chrome.storage.local.get(['stats', 'focusGoal'], (data) => {
+      const stats = data.stats || {};
+      const day = dayKey();
+      const goal = goalKey(data.focusGoal);
+
+      stats[day] = stats[day] || {};
+      const counters = stats[day][goal] = stats[day][goal] || emptyCounters();
+
+      if (event === 'socialSeconds') {
+        if (site) counters.socialSeconds[site] = (counters.socialSeconds[site] || 0) + count;
+      } else {
+        // Counters added in later versions are missing from older days
+        counters[STAT_EVENTS[event]] = (counters[STAT_EVENTS[event]] || 0) + count;
+      }
+
+      // Drop days that fell out of the retention window
+      const cutoff = dayKey(daysAgo(STATS_RETENTION_DAYS));
+      Object.keys(stats).forEach(d => { if (d < cutoff) delete stats[d]; });
+
+      chrome.storage.local.set({ stats }, done);
+    });
+  });
+}
+
+// Sum one day's counters across all goals
+function totalsForDay(dayStats) {
+  const totals = emptyCounters();
+  Object.values(dayStats || {}).forEach(counters => {
+    Object.keys(STAT_EVENTS).forEach(event => {
+      const field = STAT_EVENTS[event];
+      totals[field] += counters[field] || 0;
+    });
+    Object.entries(counters.socialSeconds || {}).forEach(([site, seconds]) => {
+      totals.socialSeconds[site] = (totals.socialSeconds[site] || 0) + seconds;
+    });
+  });
+  return totals;
+}
+
+// Validate a profile coming from the options page. Returns null if unusable.
+function sanitizeProfile(profile) {
+  if (!profile) return null;
+  const name = String(profile.name || '').trim();
+  const goal = String(profile.goal || '').trim();
+  if (!name || !goal) return null;
+
+  const schedule = (Array.isArray(profile.schedule) ? profile.schedule : [])
+    .filter(Boolean)
+    .map(slot => ({
+      days: [...new Set((Array.isArray(slot.days) ? slot.days : []).map(Number))]
+        .filter(d => Number.isInteger(d) && d >= 0 && d <= 6)
+        .sort(),
+      start: String(slot.start || ''),
+      end: String(slot.end || '')
+    }))
+    .filter(slot =>
+      slot.days.length > 0 &&
+      TIME_PATTERN.test(slot.start) &&
+      TIME_PATTERN.test(slot.end) &&
+      slot.start !== slot.end
+    );
+
+  return {
+    id: profile.id || crypto.randomUUID(),
+    name,
+    goal,
+    schedule
+  };
+}
+
+// ── Settings Backup & Sync ──────────────────────────────
+// Export files and the sync copy carry FFSettings.SETTINGS_KEYS only.
+// Imports merge into the local settings: profiles match by id, sites by
+// domain and budgets by site, with the incoming entry winning; goal
+// rule lists are combined.
+//
+// Sync is opt-in. The export JSON is split into string chunks that fit
+// chrome.storage.sync's per-item quota:
+//   ffSync:meta = { updatedAt, chunks, fingerprint }, ffSync:0 … ffSync:n
+// syncStatus remembers which copy this device last saw and what its
+// settings looked like then. If only one side changed since, it wins;
+// if both did, the two are merged and the result is pushed back.
+
+const SYNC_KEY_PREFIX = 'ffSync:';
+const SYNC_META_KEY = SYNC_KEY_PREFIX + 'meta';
+const SYNC_DELAY_MS = 2000; // Batch bursts of edits into one sync write
+
+// Deep-clean settings from an import file or the sync copy. Entries that
+// don't validate are dropped and listed in `skipped`.
+function sanitizeSettings(settings) {
+  const clean = {};
+  const skipped = [];
+
+  if (settings.goalTerms) {
+    clean.goalTerms = {};
+    Object.entries(settings.goalTerms).forEach(([goal, entry]) => {
+      const key = goalKey(goal);
+      if (!key || !entry || typeof entry !== 'object') return;
+      const terms = {};
+      Object.keys(TERM_LISTS).forEach(list => { terms[list] = TERM_LISTS[list](entry[list]); });
+      if (Object.values(terms).some(values => values.length > 0)) clean.goalTerms[key] = terms;
+    });
+  }
+
+  if (settings.profiles) {
+    clean.profiles = [];
+    settings.profiles.forEach(input => {
+      const profile = sanitizeProfile(input);
+      if (profile) {
+        clean.profiles.push(profile);
+      } else {
+        skipped.push('A profile without a name or goal');
+      }
+    });
+  }
+
+  if (settings.sites) {
+    clean.sites = [];
+    settings.sites.forEach(input => {
+      const { site, error } = sanitizeSite(input);
+      if (site) {
+        clean.sites.push(site);
+      } else {
+        skipped.push(`Site "${(input && input.domain) || ''}": ${error}`);
+      }
+    });
+  }
+
+  if (settings.socialBudgets) clean.socialBudgets = sanitizeBudgets(settings.socialBudgets);
+  if (settings.budgetSettings) clean.budgetSettings = sanitizeBudgetSettings(settings.budgetSettings);
+  if (settings.frictionSettings) clean.frictionSettings = sanitizeFriction(settings.frictionSettings);
+
+  return { settings: clean, skipped };
+}
+
+// Replace items with a matching key in place, append the rest
+function mergeBy(current, incoming, keyOf) {
+  const result = [...current];
+  incoming.forEach(item => {
+    const index = result.findIndex(existing => keyOf(existing) === keyOf(item));
+    if (index >= 0) {
+      result[index] = item;
+    } else {
+      result.push(item);
+    }
+  });
+  return result;
+}
+
+// Settings to write after merging `incoming` into `local`
+function mergeSettings(local, incoming) {
+  const merged = {};
+
+  if (incoming.goalTerms) {
+    merged.goalTerms = { ...local.goalTerms };
+    Object.entries(incoming.goalTerms).forEach(([key, terms]) => {
+      const current = merged.goalTerms[key] || {};
+      const combined = {};
+      Object.keys(TERM_LISTS).forEach(list => {
+        combined[list] = TERM_LISTS[list]([...(current[list] || []), ...terms[list]]);
+      });
+      merged.goalTerms[key] = combined;
+    });
+  }
+  if (incoming.profiles) merged.profiles = mergeBy(local.profiles || [], incoming.profiles, p => p.id);
+  if (incoming.sites) merged.sites = mergeBy(local.sites || DEFAULT_SITES, incoming.sites, s => s.domain);
+  if (incoming.socialBudgets) merged.socialBudgets = { ...local.socialBudgets, ...incoming.socialBudgets };
+  if (incoming.budgetSettings) merged.budgetSettings = incoming.budgetSettings;
+  if (incoming.frictionSettings) merged.frictionSettings = incoming.frictionSettings;
+
+  return merged;
+}
+
+// One line per kind of setting, for the options page's import preview
+function describeImport(local, incoming) {
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const countNew = (current, items, keyOf) =>
+    items.filter(item => !current.some(existing => keyOf(existing) === keyOf(item))).length;
+  const lines = [];
+
+  if (incoming.profiles && incoming.profiles.length > 0) {
+    const added = countNew(local.profiles || [], incoming.profiles, p => p.id);
+    lines.push(`${plural(incoming.profiles.length, 'goal profile')} (${added} new)`);
+  }
+  if (incoming.goalTerms && Object.keys(incoming.goalTerms).length > 0) {
+    lines.push(`Keyword & channel rules for ${plural(Object.keys(incoming.goalTerms).length, 'goal')}`);
+  }
+  if (incoming.sites) {
+    const added = countNew(local.sites || DEFAULT_SITES, incoming.sites, s => s.domain);
+    lines.push(`${plural(incoming.sites.length, 'guarded site')} (${added} new)`);
+  }
+  if (incoming.socialBudgets && Object.keys(incoming.socialBudgets).length > 0) {
+    lines.push(`Daily budgets for ${plural(Object.keys(incoming.socialBudgets).length, 'site')}`);
+  }
+  if (incoming.budgetSettings) {
+    lines.push(incoming.budgetSettings.reset === 'cooldown'
+      ? `Budgets reset after a ${incoming.budgetSettings.cooldownMinutes}-minute cooldown`
+      : 'Budgets reset at midnight');
+  }
+  if (incoming.frictionSettings) {
+    const { waitSeconds, stepSeconds, typing } = incoming.frictionSettings;
+    lines.push(`Continue waits ${waitSeconds} s, plus ${stepSeconds} s per Continue that day` +
+      (typing === 'none' ? '' : `, and asks you to type ${typing === 'goal' ? 'your goal' : 'a reason'}`));
+  }
+  return lines;
+}
+
+// Validate an export file and merge it with the local settings, without
+// saving anything. callback({ error }) or callback({ update, summary, skipped, origins })
+function prepareImport(file, callback) {
+  const parsed = FFSettings.parseExport(file);
+  if (parsed.error) {
+    callback({ error: parsed.error });
+    return;
+  }
+  const { settings, skipped } = sanitizeSettings(parsed.settings);
+  chrome.storage.local.get(FFSettings.SETTINGS_KEYS, (local) => {
+    callback({
+      update: mergeSettings(local, settings),
+      summary: describeImport(local, settings),
+      skipped,
+      // Imported sites still need host access on this machine
+      origins: (settings.sites || []).flatMap(site => originsFor(site.domain))
+    });
+  });
+}
+
+// Save imported or synced settings and bring the running extension in line
+function applySettings(update, callback) {
+  chrome.storage.local.set(update, () => {
+    chrome.storage.local.get(['focusGoal', 'goalTerms'], (data) => {
+      if (update.goalTerms && goalKey(data.focusGoal)) {
+        broadcast(goalUpdate(data.focusGoal, getGoalTerms(data.goalTerms, data.focusGoal)));
+      }
+      (update.sites || []).forEach(site => {
+        broadcast({ type: 'SITE_CHANGED', site });
+      });
+      if (update.profiles) checkSchedule();
+      if (update.sites) {
+        syncContentScripts(callback);
+      } else if (callback) {
+        callback();
+      }
+    });
+  });
+}
+
+// Short fingerprint of a string (djb2), to spot changes without keeping copies
+function fingerprint(str) {
+  let hash = 5381;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash * 33) ^ str.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+// Size of an item against the sync quotas: its key plus its JSON value
+function itemBytes(key, value) {
+  const encoder = new TextEncoder();
+  return encoder.encode(key).length + encoder.encode(JSON.stringify(value)).length;
+}
+
+// Split JSON into strings that each fit one sync item. Stored values are
+// JSON-encoded again, which escapes quotes and widens non-ASCII, so each
+// piece is measured rather than cut at a fixed length.
+function chunkForSync(json) {
+  const limit = chrome.storage.sync.QUOTA_BYTES_PER_ITEM;
+  const chunks = [];
+  let rest = json;
+  while (rest) {
+    const key = SYNC_KEY_PREFIX + chunks.length;
+    let size = Math.min(rest.length, limit);
+    while (itemBytes(key, rest.slice(0, size)) > limit) {
+      size = Math.floor(size * 0.9);
+    }
+    chunks.push(rest.slice(0, size));
+    rest = rest.slice(size);
+  }
+  return chunks;
+}
+
+// Reassemble the sync copy. Returns null if there is none,
+// { pending: true } while another device's write is still arriving,
+// { error } if it can't be used, or { updatedAt, settings }.
+function readSyncCopy(items) {
+  const meta = items[SYNC_META_KEY];
+  if (!meta) return null;
+
+  let json = '';
+  for (let i = 0; i < meta.chunks; i++) {
+    json += items[SYNC_KEY_PREFIX + i] || '';
+  }
+  if (fingerprint(json) !== meta.fingerprint) return { pending: true };
+
+  let parsed;
+  try {
+    parsed = FFSettings.parseExport(JSON.parse(json));
+  } catch (e) {
+    parsed = { error: 'The synced settings are unreadable.' };
+  }
+  if (parsed.error) return { error: parsed.error };
+  return { updatedAt: meta.updatedAt, settings: sanitizeSettings(parsed.settings).settings };
+}
+
+// Replace the sync copy. Leftover chunks from a larger copy are removed
+// first so the old and new copies never add up past QUOTA_BYTES.
+// callback(updatedAt) or callback(null, error)
+function writeSyncCopy(settings, oldItems, callback) {
+  const json = JSON.stringify(FFSettings.toExport(settings));
+  const chunks = chunkForSync(json);
+  const meta = { updatedAt: Date.now(), chunks: chunks.length, fingerprint: fingerprint(json) };
+  const items = { [SYNC_META_KEY]: meta };
+  chunks.forEach((chunk, i) => { items[SYNC_KEY_PREFIX + i] = chunk; });
+
+  const total = Object.entries(items).reduce((sum, [key, value]) => sum + itemBytes(key, value), 0);
+  if (total > chrome.storage.sync.QUOTA_BYTES) {
+    callback(null, `Your settings take ${Math.ceil(total / 1024)} KB, more than the ` +
+      `${chrome.storage.sync.QUOTA_BYTES / 1024} KB Chrome sync allows.`);
+    return;
+  }
+
+  const stale = Object.keys(oldItems).filter(key => key.startsWith(SYNC_KEY_PREFIX) && !(key in items));
+  chrome.storage.sync.remove(stale, () => {
+    chrome.storage.sync.set(items, () => {
+      // Over quota, or too many writes per minute/hour
+      if (chrome.runtime.lastError) {
+        callback(null, chrome.runtime.lastError.message);
+      } else {
+        callback(meta.updatedAt);
+      }
+    });
+  });
+}
+
+// Reconcile local settings with the sync copy. Runs through queueWrite;
+// `done` is its completion callback.
+function syncSettingsNow(done) {
+  chrome.storage.local.get(['syncSettings', 'syncStatus', ...FFSettings.SETTINGS_KEYS], (local) => {
+    if (!local.syncSettings) {
+      done();
+      return;
+    }
+    chrome.storage.sync.get(null, (items) => {
+      const status = local.syncStatus || {};
+      const localSettings = FFSettings.pickSettings(local);
+      const remote = readSyncCopy(items);
+
+      const setStatus = (changes) => {
+        chrome.storage.local.set({ syncStatus: { ...status, ...changes } }, done);
+      };
+      // Record a completed sync and what the settings looked like after it
+      const synced = (settings, remoteUpdatedAt) => setStatus({
+        lastSyncedAt: Date.now(),
+        remoteUpdatedAt,
+        fingerprint: fingerprint(JSON.stringify(FFSettings.pickSettings(settings))),
+        error: null
+      });
+      const push = (settings) => {
+        writeSyncCopy(settings, items, (updatedAt, error) => {
+          if (error) {
+            setStatus({ error });
+          } else {
+            synced(settings, updatedAt);
+          }
+        });
+      };
+
+      if (remote && remote.pending) {
+        done();
+        return;
+      }
+      // Never overwrite a copy saved by a newer version of the extension
+      if (remote && remote.error) {
+        setStatus({ error: remote.error });
+        return;
+      }
+
+      const localChanged = fingerprint(JSON.stringify(localSettings)) !== status.fingerprint;
+      const remoteChanged = !!remote && remote.updatedAt !== status.remoteUpdatedAt;
+
+      if (remoteChanged && !localChanged) {
+        // Another device saved last: take its settings as they are
+        applySettings(remote.settings, () => {
+          synced({ ...localSettings, ...remote.settings }, remote.updatedAt);
+        });
+      } else if (remoteChanged) {
+        // Both sides changed: keep edits from each
+        const merged = { ...localSettings, ...mergeSettings(localSettings, remote.settings) };
+        applySettings(merged, () => push(merged));
+      } else if (localChanged || !remote) {
+        push(localSettings);
+      } else {
+        done();
+      }
+    });
+  });
+}
+
+let syncTimer = null;
+
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => queueWrite(syncSettingsNow), SYNC_DELAY_MS);
+}
+
 // Listen for messages from popup or content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
 
-    // Return the current goal and enabled state to any requester
+    // Return the current goal, its term lists and enabled state to any requester
     case 'GET_STATE':
-      chrome.storage.local.get(['focusGoal', 'isEnabled'], (data) => {
+      chrome.storage.local.get(['focusGoal', 'isEnabled', 'goalTerms', 'focusSession', 'sites', 'pillPosition', ...ALLOWANCE_KEYS], (data) => {
+        const terms = getGoalTerms(data.goalTerms, data.focusGoal);
+        const config = findSite(data.sites, senderUrl(sender));
+        const site = config ? config.domain : siteKey(senderUrl(sender));
         sendResponse({
+          site,
+          siteName: config ? config.name : site,
+          siteMode: config ? config.mode : null,
+          filterStyle: (config && config.filterStyle) || 'blur',
+          routes: (config && config.routes) || [],
+          allowanceExpiresAt: getAllowance(data.socialTimers, site),
+          budget: getBudgetStatus(data, site),
+          friction: getFriction(data),
+          pillPosition: data.pillPosition || null,
           focusGoal: data.focusGoal || '',
-          isEnabled: data.isEnabled !== false
+          isEnabled: data.isEnabled !== false,
+          includeTerms: terms.include,
+          excludeTerms: terms.exclude,
+          allowChannels: terms.allowChannels,
+          blockChannels: terms.blockChannels,
+          onTopicTitles: terms.onTopicTitles,
+          sessionPhase: data.focusSession ? data.focusSession.phase : null
         });
       });
       return true; // Keep channel open for async response
 
-    // Update goal from popup
+    // Update goal from popup (a typed goal detaches from any profile)
     case 'SET_GOAL':
-      chrome.storage.local.set({ focusGoal: message.goal }, () => {
-        // Notify all tabs of the goal change so content scripts react immediately
-        chrome.tabs.query({}, (tabs) => {
-          tabs.forEach((tab) => {
-            chrome.tabs.sendMessage(tab.id, {
-              type: 'GOAL_UPDATED',
-              goal: message.goal
-            }).catch(() => {}); // Ignore tabs without content scripts
+      chrome.storage.local.get('commitLock', (data) => {
+        const error = !String(message.goal || '').trim() && lockError(data.commitLock, "the goal can't be cleared");
+        if (error) {
+          sendResponse({ success: false, error });
+          return;
+        }
+        applyGoal(message.goal, null, () => sendResponse({ success: true }));
+      });
+      return true;
+
+    // Past goals for the popup's autocomplete and chips
+    case 'GET_GOAL_HISTORY':
+      chrome.storage.local.get('goalHistory', (data) => {
+        sendResponse({ history: sortGoalHistory(data.goalHistory) });
+      });
+      return true;
+
+    case 'PIN_GOAL':
+      if (!goalKey(message.goal)) {
+        sendResponse({ success: false });
+        return false;
+      }
+      editGoalHistory(message.goal, { pinned: message.pinned === true }, (history) => {
+        sendResponse({ success: true, history });
+      });
+      return true;
+
+    case 'DELETE_GOAL':
+      if (!goalKey(message.goal)) {
+        sendResponse({ success: false });
+        return false;
+      }
+      editGoalHistory(message.goal, null, (history) => {
+        sendResponse({ success: true, history });
+      });
+      return true;
+
+    // Finished goal sessions, newest first, and the open one
+    case 'GET_JOURNAL':
+      chrome.storage.local.get(['journal', 'goalSession'], (data) => {
+        sendResponse({
+          journal: [...(data.journal || [])].reverse(),
+          current: data.goalSession || null
+        });
+      });
+      return true;
+
+    case 'GET_PENDING_REFLECTION':
+      chrome.storage.local.get('journal', (data) => {
+        sendResponse({ record: pendingReflection(data.journal) });
+      });
+      return true;
+
+    // Answer to "Did you accomplish it?"; no answer and no notes is a skip
+    case 'SAVE_REFLECTION':
+      saveReflection(message.id, message.accomplished, message.notes, (success) => {
+        sendResponse({ success });
+      });
+      return true;
+
+    // Return the rule lists stored for a goal
+    case 'GET_GOAL_TERMS':
+      chrome.storage.local.get('goalTerms', (data) => {
+        sendResponse(getGoalTerms(data.goalTerms, message.goal));
+      });
+      return true;
+
+    // Save rule lists for a goal from popup
+    case 'SET_GOAL_TERMS':
+      if (!goalKey(message.goal)) {
+        sendResponse({ success: false });
+        return false;
+      }
+      saveGoalTerms(message.goal, message, (terms) => {
+        sendResponse({ success: true, ...terms });
+      });
+      return true;
+
+    // "Always allow this channel" from a feed overlay
+    case 'ALLOW_CHANNEL': {
+      const channel = String(message.channel || '').trim();
+      if (!channel) {
+        sendResponse({ success: false });
+        return false;
+      }
+      allowChannel(channel, (terms) => sendResponse({ success: !!terms }));
+      return true;
+    }
+
+    // Return all profiles, which one is active, and each profile's term lists
+    case 'GET_PROFILES':
+      chrome.storage.local.get(['profiles', 'activeProfileId', 'goalTerms'], (data) => {
+        const profiles = (data.profiles || []).map(profile => ({
+          ...profile,
+          ...getGoalTerms(data.goalTerms, profile.goal)
+        }));
+        sendResponse({ profiles, activeProfileId: data.activeProfileId || null });
+      });
+      return true;
+
+    // Create or update a profile from the options page
+    case 'SAVE_PROFILE': {
+      const profile = sanitizeProfile(message.profile);
+      if (!profile) {
+        sendResponse({ success: false, error: 'A profile needs a name and a goal.' });
+        return false;
+      }
+      chrome.storage.local.get(['profiles', 'activeProfileId'], (data) => {
+        const profiles = data.profiles || [];
+        const index = profiles.findIndex(p => p.id === profile.id);
+        if (index >= 0) {
+          profiles[index] = profile;
+        } else {
+          profiles.push(profile);
+        }
+
+        chrome.storage.local.set({ profiles }, () => {
+          const { include, exclude } = message.profile;
+          saveGoalTerms(profile.goal, { include, exclude }, () => {
+            // Editing the active profile's goal takes effect right away
+            if (data.activeProfileId === profile.id) {
+              applyGoal(profile.goal, profile.id);
+            }
+            checkSchedule();
+            sendResponse({ success: true, profile });
+          });
+        });
+      });
+      return true;
+    }
+
+    case 'DELETE_PROFILE':
+      chrome.storage.local.get(['profiles', 'activeProfileId'], (data) => {
+        const profiles = (data.profiles || []).filter(p => p.id !== message.id);
+        const update = { profiles };
+        // The goal itself stays; it is just no longer tied to a profile
+        if (data.activeProfileId === message.id) update.activeProfileId = null;
+        chrome.storage.local.set(update, () => sendResponse({ success: true }));
+      });
+      return true;
+
+    // Switch to a profile by hand (popup dropdown or options page)
+    case 'ACTIVATE_PROFILE':
+      chrome.storage.local.get('profiles', (data) => {
+        const profile = (data.profiles || []).find(p => p.id === message.id);
+        if (!profile) {
+          sendResponse({ success: false });
+          return;
+        }
+        applyGoal(profile.goal, profile.id, () => {
+          sendResponse({ success: true, goal: profile.goal });
+        });
+      });
+      return true;
+
+    // Start a Pomodoro session from popup, e.g. 25/5 or 50/10
+    case 'START_SESSION': {
+      const work = Math.round(Number(message.workMinutes));
+      const rest = Math.round(Number(message.breakMinutes));
+      if (!(work >= 1 && work <= 180 && rest >= 1 && rest <= 60)) {
+        sendResponse({ success: false });
+        return false;
+      }
+      startSession(work, rest, (session) => sendResponse({ success: true, session }));
+      return true;
+    }
+
+    case 'STOP_SESSION':
+      stopSession(() => sendResponse({ success: true }));
+      return true;
+
+    // "Continue 5 min" clicked in a social tab: start the shared allowance
+    case 'START_ALLOWANCE': {
+      // Content scripts pass the configured domain they got from GET_STATE
+      const site = message.site || siteKey(senderUrl(sender));
+      if (!site) {
+        sendResponse({ success: false });
+        return false;
+      }
+      const reason = String(message.reason || '').trim();
+      startAllowance(site, ALLOWANCE_MINUTES, { reason }, (expiresAt) => {
+        sendResponse({ success: !!expiresAt, expiresAt });
+      });
+      return true;
+    }
+
+    // "End" on the countdown pill: the modal returns in every tab of the site
+    case 'END_ALLOWANCE': {
+      const site = message.site || siteKey(senderUrl(sender));
+      if (site) expireAllowance(site);
+      return false;
+    }
+
+    // Where the countdown pill was dragged, shared by all interrupt sites
+    case 'SAVE_PILL_POSITION': {
+      const clamp = v => Math.min(1, Math.max(0, Number(v) || 0));
+      const position = message.position || {};
+      chrome.storage.local.set({ pillPosition: { x: clamp(position.x), y: clamp(position.y) } });
+      return false;
+    }
+
+    // Friction settings plus the saved Continue reasons, newest first
+    case 'GET_FRICTION':
+      chrome.storage.local.get(['frictionSettings', 'continueLog'], (data) => {
+        sendResponse({
+          settings: data.frictionSettings || FFSettings.DEFAULTS.frictionSettings,
+          reasons: (data.continueLog || []).filter(entry => entry.reason).reverse()
+        });
+      });
+      return true;
+
+    case 'SET_FRICTION': {
+      const frictionSettings = sanitizeFriction(message.settings);
+      chrome.storage.local.set({ frictionSettings }, () => {
+        sendResponse({ success: true, settings: frictionSettings });
+      });
+      return true;
+    }
+
+    // Budgets plus today's usage, for the options page
+    case 'GET_BUDGETS':
+      chrome.storage.local.get(ALLOWANCE_KEYS, (data) => {
+        sendResponse({
+          budgets: data.socialBudgets || {},
+          settings: data.budgetSettings || { reset: 'midnight', cooldownMinutes: 60 },
+          usage: todayUsage(data.budgetUsage).seconds
+        });
+      });
+      return true;
+
+    case 'SET_BUDGETS': {
+      const budgets = sanitizeBudgets(message.budgets);
+      const settings = sanitizeBudgetSettings(message.settings);
+      chrome.storage.local.set({ socialBudgets: budgets, budgetSettings: settings }, () => {
+        sendResponse({ success: true, budgets, settings });
+      });
+      return true;
+    }
+
+    // Sites plus which ones still lack host access (e.g. imported or synced)
+    case 'GET_SITES':
+      chrome.storage.local.get('sites', (data) => {
+        const sites = data.sites || DEFAULT_SITES;
+        // Wait for a running sync so `syncError` describes these sites
+        scriptSync
+          .then(() => Promise.all(sites.map(site => chrome.permissions.contains({ origins: originsFor(site.domain) }))))
+          .then((granted) => {
+            sendResponse({
+              sites,
+              filterDomains: Object.keys(FEED_FILTER_SCRIPTS),
+              needsAccess: sites.filter((site, i) => !granted[i]).map(site => site.domain),
+              syncError: scriptSyncError
+            });
           });
+      });
+      return true;
+
+    // Add or update a site. The options page has already asked for
+    // host permission, since that needs a user gesture.
+    case 'SAVE_SITE': {
+      const { site, error } = sanitizeSite(message.site);
+      if (error) {
+        sendResponse({ success: false, error });
+        return false;
+      }
+      chrome.storage.local.get('sites', (data) => {
+        const sites = [...(data.sites || DEFAULT_SITES)];
+        const index = sites.findIndex(s => s.domain === site.domain);
+        if (index >= 0) {
+          sites[index] = site;
+        } else {
+          sites.push(site);
+        }
+        chrome.storage.local.set({ sites }, () => {
+          // Open tabs pick up the new style and route rules in place
+          broadcast({ type: 'SITE_CHANGED', site });
+          syncContentScripts(() => sendResponse({ success: true, site }));
         });
-        sendResponse({ success: true });
+      });
+      return true;
+    }
+
+    case 'REMOVE_SITE':
+      chrome.storage.local.get('sites', (data) => {
+        const sites = (data.sites || DEFAULT_SITES).filter(s => s.domain !== message.domain);
+        chrome.storage.local.set({ sites }, () => {
+          syncContentScripts(() => sendResponse({ success: true }));
+        });
+      });
+      return true;
+
+    // "Show anyway" on a blurred feed item
+    case 'LOG_REVEAL': {
+      const title = String(message.title || '').trim();
+      if (!title) return false;
+      chrome.storage.local.get('focusGoal', (data) => {
+        if (goalKey(data.focusGoal)) logReveal(title, data.focusGoal, siteKey(senderUrl(sender)));
+      });
+      return false;
+    }
+
+    case 'GET_REVEAL_SUGGESTIONS':
+      chrome.storage.local.get(['revealLog', 'goalTerms'], (data) => {
+        const terms = getGoalTerms(data.goalTerms, message.goal);
+        sendResponse({ suggestions: suggestIncludeTerms(data.revealLog, message.goal, terms) });
+      });
+      return true;
+
+    case 'GET_VIDEO_OVERRIDE':
+      chrome.storage.session.get('videoOverrides', (data) => {
+        const overrides = data.videoOverrides || {};
+        sendResponse({ override: overrides[message.videoId] || null });
+      });
+      return true;
+
+    case 'ALLOW_VIDEO': {
+      const reason = String(message.reason || '').trim();
+      if (!VIDEO_ID_PATTERN.test(message.videoId || '') || !reason) {
+        sendResponse({ success: false });
+        return false;
+      }
+      allowVideo(message.videoId, message.title, reason, () => sendResponse({ success: true }));
+      return true;
+    }
+
+    case 'EXPORT_SETTINGS':
+      chrome.storage.local.get(FFSettings.SETTINGS_KEYS, (data) => {
+        sendResponse({ file: FFSettings.toExport(data) });
+      });
+      return true;
+
+    // What an import would change, for the options page to confirm
+    case 'PREVIEW_IMPORT':
+      prepareImport(message.file, ({ error, summary, skipped, origins }) => {
+        sendResponse(error ? { success: false, error } : { success: true, summary, skipped, origins });
       });
       return true;
 
+    case 'APPLY_IMPORT':
+      prepareImport(message.file, ({ error, update }) => {
+        if (error) {
+          sendResponse({ success: false, error });
+          return;
+        }
+        applySettings(update, () => sendResponse({ success: true }));
+      });
+      return true;
+
+    // Turning sync on merges this device's settings with the sync copy
+    case 'SET_SYNC':
+      chrome.storage.local.set({ syncSettings: !!message.enabled, syncStatus: null }, () => {
+        if (!message.enabled) {
+          sendResponse({ success: true });
+          return;
+        }
+        queueWrite((done) => syncSettingsNow(() => {
+          done();
+          chrome.storage.local.get('syncStatus', (data) => {
+            sendResponse({ success: true, status: data.syncStatus });
+          });
+        }));
+      });
+      return true;
+
+    // Count a protection event reported by a content script
+    case 'TRACK_EVENT': {
+      const requested = message.count === undefined ? 1 : Math.round(Number(message.count));
+      if (!Number.isFinite(requested) || requested <= 0) return false;
+      const count = Math.min(requested, MAX_EVENT_COUNT);
+      if (message.event === 'socialSeconds') {
+        const site = message.site || siteKey(senderUrl(sender));
+        recordEvent('socialSeconds', count, site);
+        chargeBudget(site, count);
+        tallyGoalSession('siteSeconds', count, site);
+      } else if (message.event === 'siteSeconds') {
+        // Visible time on a guarded site's allowed routes; only the journal uses it
+        tallyGoalSession('siteSeconds', count, message.site || siteKey(senderUrl(sender)));
+      } else if (STAT_EVENTS[message.event]) {
+        recordEvent(message.event, count);
+        if (SESSION_EVENTS[message.event]) tallyGoalSession(SESSION_EVENTS[message.event], count);
+      }
+      return false;
+    }
+
+    // Today's totals plus a per-day series for the last `days` days
+    case 'GET_STATS':
+      chrome.storage.local.get('stats', (data) => {
+        const stats = data.stats || {};
+        const trend = [];
+        for (let i = (message.days || 7) - 1; i >= 0; i--) {
+          const day = dayKey(daysAgo(i));
+          trend.push({ day, ...totalsForDay(stats[day]) });
+        }
+        sendResponse({ today: trend[trend.length - 1], trend });
+      });
+      return true;
+
+    // How many items a feed-filter tab has filtered on its current page
+    case 'PAGE_FILTERED':
+      if (sender.tab) setPageCount(sender.tab.id, Math.max(0, Math.round(Number(message.count) || 0)));
+      return false;
+
     // Toggle extension ON/OFF from popup
     case 'SET_ENABLED':
-      chrome.storage.local.set({ isEnabled: message.isEnabled }, () => {
-        // Notify all tabs so content scripts enable/disable immediately
-        chrome.tabs.query({}, (tabs) => {
-          tabs.forEach((tab) => {
-            chrome.tabs.sendMessage(tab.id, {
-              type: 'TOGGLE_CHANGED',
-              isEnabled: message.isEnabled
-            }).catch(() => {});
-          });
+      setEnabled(message.isEnabled === true, sendResponse);
+      return true;
+
+    // Everything the quick-goal palette offers
+    case 'GET_QUICK_GOALS':
+      chrome.storage.local.get(['focusGoal', 'goalHistory', 'profiles', 'activeProfileId'], (data) => {
+        sendResponse({
+          focusGoal: data.focusGoal || '',
+          goalHistory: sortGoalHistory(data.goalHistory),
+          profiles: (data.profiles || []).map(({ id, name, goal }) => ({ id, name, goal })),
+          activeProfileId: data.activeProfileId || null
+        });
+      });
+      return true;
+
+    // The running lock (null if none) and what an emergency unlock takes
+    case 'GET_LOCK':
+      chrome.storage.local.get('commitLock', (data) => {
+        sendResponse({
+          lock: activeLock(data.commitLock),
+          unlockPhrase: UNLOCK_PHRASE,
+          emergencyMinutes: EMERGENCY_UNLOCK_MINUTES
         });
-        sendResponse({ success: true });
       });
       return true;
 
+    // Lock protection on until `until` (ms timestamp) from the popup
+    // `minutes` for a duration, timed from here so a 1-minute lock
+    // isn't already short by the time the message arrives, or `until`
+    // for a time of day
+    case 'START_LOCK': {
+      const now = Date.now();
+      const until = message.minutes !== undefined
+        ? now + Math.round(Number(message.minutes) * 60000)
+        : Math.round(Number(message.until));
+      if (!(until >= now + 60000 && until <= now + MAX_LOCK_HOURS * 3600000)) {
+        sendResponse({ success: false, error: `Pick a lock between 1 minute and ${MAX_LOCK_HOURS} hours.` });
+        return false;
+      }
+      startLock(until, message.emergencyUnlock === true, sendResponse);
+      return true;
+    }
+
+    case 'REQUEST_UNLOCK':
+      requestUnlock(message.phrase, sendResponse);
+      return true;
+
+    case 'CANCEL_UNLOCK':
+      cancelUnlock(sendResponse);
+      return true;
+
     default:
       break;
   }
@@ -0,0 +1,55 @@
+/**
+ * Focus Firewall — Facebook Adapter
+ * Surgical feed-filter adapter: for when Facebook is needed for
+ * messages or a group, just without the feed. Stories, Reels,
+ * suggested and sponsored posts are hidden outright; remaining posts
+ * in news and group feeds are scored by their text.
+ * Filtering itself lives in content/feed-filter.js.
+ *
+ * Facebook's class names are generated, so everything here keys off
+ * roles, data attributes, links and visible text.
+ */
+
+(function () {
+  'use strict';
+
+  // Post headers label ads and recommendations with one of these
+  const DISTRACTION_LABELS = ['Sponsored', 'Suggested for you', 'Reels', 'Reels and short videos'];
+
+  // Headed blocks outside the feed itself (right column, feed carousels)
+  const SECTION_LABELS = ['Sponsored', 'Reels and short videos', 'People you may know'];
+
+  FFFeedFilter.start({
+    // One child of the feed per post, on the home page and in groups
+    itemSelector: 'div[role="feed"] > div',
+
+    // Post message; link shares fall back to their headline
+    getText(post) {
+      const message = post.querySelector('[data-ad-preview="message"], [data-ad-comet-preview="message"]');
+      if (message) return message.textContent;
+      const headline = post.querySelector('a[role="link"] span[dir="auto"]');
+      return headline ? headline.textContent : '';
+    },
+
+    getChannel(post) {
+      const author = post.querySelector(':is(h2, h3, h4) a');
+      return author ? author.textContent.trim() : '';
+    },
+
+    // Ads link to "Why am I seeing this ad?"; Reels units link to /reel/<id>
+    isDistraction(post) {
+      return !!post.querySelector('a[href*="/ads/about"], a[href*="/reel/"], [aria-label="Sponsored"]') ||
+        FFFeedFilter.findLabels(post, 'span', DISTRACTION_LABELS).length > 0;
+    },
+
+    findDistractions() {
+      const found = [...document.querySelectorAll('[data-pagelet="Stories"], [aria-label="Stories"]')];
+      FFFeedFilter.findLabels(document, 'h2, h3, span[dir="auto"]', SECTION_LABELS).forEach(label => {
+        if (label.closest('div[role="feed"] > div')) return; // Handled per post
+        const section = FFFeedFilter.sectionFor(label);
+        if (section) found.push(section);
+      });
+      return found;
+    }
+  });
+})();
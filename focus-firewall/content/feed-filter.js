@@ -0,0 +1,607 @@
+/**
+ * Focus Firewall — Feed Filter Core
+ * Shared goal-based filtering for text feeds. Each site ships a small
+ * adapter (content/youtube.js, content/reddit.js, ...) that describes
+ * how to find feed items and read their text; this file does the rest.
+ *
+ * Features:
+ * - Scores item text against the focus goal (see lib/relevance.js)
+ * - Per-goal channel allow/block lists override the keyword result, and
+ *   titles marked on-topic (from the context menu) always pass
+ * - "Show anyway" reveals a single item; reveals are logged by the
+ *   background so repeated ones can become include-term suggestions
+ * - Blurs irrelevant items and adds an "Irrelevant to current goal" badge,
+ *   or dims, collapses or hides them, per the site's filter style
+ * - Uses MutationObserver for infinite scroll support
+ * - Debounced scanning for performance
+ * - Listens for real-time goal/toggle updates from background
+ * - Relaxes filtering during focus-session breaks
+ * - Reports blur counts to the background for protection stats, and
+ *   how many items are filtered on the current page for the toolbar badge
+ * - "Surgical" adapters (Instagram, Facebook) also name distractions —
+ *   Stories trays, Reels, suggested and sponsored posts — which are
+ *   hidden outright whenever the extension is on, goal or not
+ * - Only works on routes that fall through to filter mode: route rules
+ *   (see lib/navigation.js) can leave a path alone ('allow') or hand it
+ *   to the route guard in content/social.js ('interrupt', 'hide')
+ *
+ * Exposed as `FFFeedFilter` on the global object; adapters are loaded
+ * after it in the same content script registration.
+ */
+
+(function (root) {
+  'use strict';
+
+  // CSS class prefix to avoid collisions
+  const PREFIX = 'ff-feed';
+
+  /**
+   * @typedef {Object} FeedAdapter
+   * @property {string} itemSelector - Matches every filterable feed item
+   * @property {function(Element): string} getText - Item title: scored, and
+   *   logged when the item is revealed
+   * @property {function(Element): string} [getDetails] - Extra text that is
+   *   scored but not logged (e.g. a description snippet)
+   * @property {function(Element): string} [getChannel] - Channel or author
+   *   name, checked against the goal's channel lists
+   * @property {string} [mediaSelector] - Part of the item to blur (thumbnail,
+   *   title line). Without it every child of the item is blurred.
+   * @property {string} [blurEvent] - Stats event sent for newly blurred items
+   * @property {string} [revealEvent] - Stats event sent when an item is revealed
+   * @property {function(): Element[]} [findDistractions] - Page sections to
+   *   hide outright (Stories trays, Reels shelves, suggestion carousels)
+   * @property {function(Element): boolean} [isDistraction] - Feed items to
+   *   hide outright instead of scoring (sponsored or suggested posts)
+   */
+
+  /**
+   * Start filtering the page with a site adapter. Call once per page.
+   * The returned controller lets adapters build site-specific extras
+   * (like YouTube's watch-page check) on the same goal state.
+   * @param {FeedAdapter} adapter
+   * @returns {{ evaluate: function(string, string=, string=): Object, isActive: function(): boolean,
+   *             getGoal: function(): string, onScan: function(function) }}
+   */
+  function start(adapter) {
+    // ── State ─────────────────────────────────────────────
+    let currentGoal = '';
+    let isEnabled   = true;
+    let sessionPhase = null; // 'work' | 'break' | null (no session)
+    let scanTimer   = null;
+    let allowChannels = new Set(); // Lowercased channel names for the goal
+    let blockChannels = new Set();
+    let onTopicTitles = new Set(); // Lowercased titles marked on-topic for the goal
+    let revealedTitles = new Set(); // Items the user chose to see for this goal
+    let currentSite = '';  // Configured domain, from GET_STATE
+    let routes = [];       // The site's route rules, from GET_STATE
+    let reportedCount = null; // Page count last sent for the toolbar badge
+    const scanListeners = [];
+
+    const blurEvent = adapter.blurEvent || 'itemBlurred';
+    const revealEvent = adapter.revealEvent || 'itemRevealed';
+
+    // ── Inject Styles ─────────────────────────────────────
+    // Every filtered item gets the same markup (overlay + collapsed stub);
+    // the filter style on <html> decides what shows, so changing the
+    // setting restyles the page without a rescan.
+    //   blur     — blurred media, faded item, badge on top (default)
+    //   dim      — faded item, badge only on hover
+    //   collapse — item replaced by a one-line stub
+    //   hide     — item removed from the layout so the feed reflows
+    const STYLE_ATTR = 'data-ff-filter-style';
+    const style = name => `html[${STYLE_ATTR}="${name}"]`;
+    const itemContent = `.${PREFIX}-filtered > :not(.${PREFIX}-overlay):not(.${PREFIX}-stub)`;
+    const blurTargets = adapter.mediaSelector
+      ? `.${PREFIX}-filtered :is(${adapter.mediaSelector})`
+      : itemContent;
+
+    const styleSheet = document.createElement('style');
+    styleSheet.textContent = `
+      ${style('blur')} ${blurTargets} {
+        filter: blur(12px) saturate(0.3) !important;
+        transition: filter 0.4s ease !important;
+      }
+
+      ${style('blur')} .${PREFIX}-filtered {
+        opacity: 0.55 !important;
+      }
+
+      .${PREFIX}-filtered {
+        position: relative !important;
+      }
+
+      ${style('dim')} .${PREFIX}-filtered {
+        opacity: 0.3 !important;
+        transition: opacity 0.3s ease !important;
+      }
+
+      ${style('dim')} .${PREFIX}-filtered:hover {
+        opacity: 0.8 !important;
+      }
+
+      ${style('dim')} .${PREFIX}-filtered:not(:hover) .${PREFIX}-overlay {
+        display: none !important;
+      }
+
+      ${style('collapse')} ${itemContent},
+      ${style('collapse')} .${PREFIX}-overlay {
+        display: none !important;
+      }
+
+      ${style('hide')} .${PREFIX}-filtered,
+      .${PREFIX}-hidden {
+        display: none !important;
+      }
+
+      .${PREFIX}-stub {
+        display: none;
+      }
+
+      ${style('collapse')} .${PREFIX}-stub {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 6px 10px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 12px;
+        color: #8a8a8a;
+        opacity: 0.8;
+      }
+
+      ${style('collapse')} td.${PREFIX}-stub {
+        display: table-cell;
+      }
+
+      .${PREFIX}-stub-title {
+        flex: 1;
+        min-width: 0;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .${PREFIX}-stub .${PREFIX}-action {
+        color: inherit;
+        background: transparent;
+        border-color: currentColor;
+      }
+
+      .${PREFIX}-overlay {
+        position: absolute;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 100;
+        pointer-events: none;
+      }
+
+      .${PREFIX}-badge {
+        background: linear-gradient(135deg, rgba(13, 71, 161, 0.92), rgba(21, 101, 192, 0.92));
+        color: #fff;
+        font-size: 11px;
+        font-weight: 600;
+        padding: 6px 14px;
+        border-radius: 8px;
+        letter-spacing: 0.3px;
+        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.5);
+        border: 1px solid rgba(100, 181, 246, 0.3);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        backdrop-filter: blur(4px);
+        pointer-events: none;
+      }
+
+      .${PREFIX}-actions {
+        display: flex;
+        justify-content: center;
+        flex-wrap: wrap;
+        gap: 4px;
+        margin-top: 6px;
+      }
+
+      .${PREFIX}-action {
+        padding: 3px 10px;
+        background: rgba(255, 255, 255, 0.12);
+        color: #fff;
+        border: 1px solid rgba(255, 255, 255, 0.25);
+        border-radius: 6px;
+        font: inherit;
+        font-size: 10px;
+        cursor: pointer;
+        pointer-events: auto;
+      }
+
+      .${PREFIX}-action:hover {
+        background: rgba(255, 255, 255, 0.22);
+      }
+
+      .${PREFIX}-action[hidden] {
+        display: none;
+      }
+
+      .${PREFIX}-badge-detail {
+        display: block;
+        margin-top: 2px;
+        font-size: 10px;
+        font-weight: 500;
+        opacity: 0.75;
+        text-align: center;
+      }
+
+      .${PREFIX}-badge-detail:empty {
+        display: none;
+      }
+    `;
+    document.head.appendChild(styleSheet);
+
+    // ── Relevance Check ───────────────────────────────────
+    // The matcher is rebuilt only when the goal changes, then reused
+    // for every item.
+    let matcher = FFRelevance.createMatcher('');
+
+    // `rules` is a GOAL_UPDATED message or GET_STATE response
+    function setGoal(goal, rules) {
+      // Reveals were choices about the old goal
+      if ((goal || '') !== currentGoal) revealedTitles = new Set();
+      currentGoal = goal || '';
+      matcher = FFRelevance.createMatcher(currentGoal, {
+        include: rules.includeTerms || [],
+        exclude: rules.excludeTerms || []
+      });
+      allowChannels = new Set((rules.allowChannels || []).map(c => c.toLowerCase()));
+      blockChannels = new Set((rules.blockChannels || []).map(c => c.toLowerCase()));
+      onTopicTitles = new Set((rules.onTopicTitles || []).map(t => t.toLowerCase()));
+    }
+
+    // Returns { score, relevant, matched, excluded, channel } for an item.
+    // A title marked on-topic passes, then the channel lists win outright;
+    // otherwise exclude terms are applied by the matcher before keyword
+    // matching. `channel` is the item's channel name when a list decided
+    // the result, else null. `title` defaults to the whole text.
+    function evaluateItem(text, channel, title = text) {
+      if (!currentGoal || onTopicTitles.has(title.trim().toLowerCase())) {
+        return { score: 1, relevant: true, matched: [], excluded: [], channel: null };
+      }
+
+      const key = (channel || '').toLowerCase();
+      if (blockChannels.has(key)) {
+        return { score: 0, relevant: false, matched: [], excluded: [], channel };
+      }
+      if (allowChannels.has(key)) {
+        return { score: 1, relevant: true, matched: [], excluded: [], channel };
+      }
+      return { ...matcher.evaluate(text), channel: null };
+    }
+
+    // ── Apply / Remove Filtering ──────────────────────────
+
+    // Returns true if the item was newly blurred
+    function markIrrelevant(item, result, title, channel) {
+      if (item.classList.contains(`${PREFIX}-filtered`)) {
+        updateBadge(item, result, title, channel);
+        return false;
+      }
+
+      item.classList.add(`${PREFIX}-filtered`);
+
+      // Create overlay with badge
+      const overlay = document.createElement('div');
+      overlay.className = `${PREFIX}-overlay`;
+
+      const badge = document.createElement('div');
+      badge.className = `${PREFIX}-badge`;
+      badge.textContent = '🛡 Irrelevant to current goal';
+
+      const detail = document.createElement('span');
+      detail.className = `${PREFIX}-badge-detail`;
+      badge.appendChild(detail);
+
+      // Sites recycle item elements, so title and channel are kept on
+      // the buttons by updateBadge() and read at click time
+      const actions = document.createElement('div');
+      actions.className = `${PREFIX}-actions`;
+      actions.append(
+        makeAction('reveal', 'Show anyway', btn => revealItem(item, btn.dataset.title)),
+        makeAction('allow-channel', '', btn => {
+          chrome.runtime.sendMessage({ type: 'ALLOW_CHANNEL', channel: btn.dataset.channel });
+        })
+      );
+      badge.appendChild(actions);
+      overlay.appendChild(badge);
+
+      // Center the overlay on the blurred media when there is one
+      const media = adapter.mediaSelector && item.querySelector(adapter.mediaSelector);
+      const anchor = media && media.parentElement ? media.parentElement : item;
+      anchor.style.position = 'relative';
+      anchor.appendChild(overlay);
+
+      // One-line stand-in shown by the collapse style. Table rows
+      // (Hacker News) need a cell, anything else takes a block.
+      const stub = document.createElement(item.tagName === 'TR' ? 'td' : 'div');
+      stub.className = `${PREFIX}-stub`;
+      if (item.tagName === 'TR') stub.colSpan = item.cells.length || 1;
+      const stubTitle = document.createElement('span');
+      stubTitle.className = `${PREFIX}-stub-title`;
+      stub.append(stubTitle, makeAction('reveal', 'Show', btn => revealItem(item, btn.dataset.title)));
+      item.appendChild(stub);
+
+      updateBadge(item, result, title, channel);
+      return true;
+    }
+
+    // Overlay buttons sit inside links on most sites; keep clicks to ourselves
+    function makeAction(name, label, onClick) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = `${PREFIX}-action ${PREFIX}-${name}`;
+      btn.textContent = label;
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onClick(btn);
+      });
+      return btn;
+    }
+
+    // Explain the decision on the badge, e.g. "Excluded: prank"
+    // or a near-miss like "Weak match: study · 20%", and offer to
+    // allow the item's channel when it has one
+    function updateBadge(item, result, title, channel) {
+      item.querySelectorAll(`.${PREFIX}-reveal`).forEach(btn => { btn.dataset.title = title; });
+      const stubTitle = item.querySelector(`.${PREFIX}-stub-title`);
+      if (stubTitle) setText(stubTitle, `🛡 Off-goal: ${title}`);
+
+      const allowBtn = item.querySelector(`.${PREFIX}-allow-channel`);
+      if (allowBtn) {
+        if (allowBtn.hidden !== !channel) allowBtn.hidden = !channel;
+        if (allowBtn.dataset.channel !== (channel || '')) allowBtn.dataset.channel = channel || '';
+        if (channel) setText(allowBtn, `Always allow ${channel}`);
+      }
+
+      const detail = item.querySelector(`.${PREFIX}-badge-detail`);
+      if (!detail || !result) return;
+      if (result.channel) {
+        setText(detail, `Blocked channel: ${result.channel}`);
+      } else if (result.excluded.length > 0) {
+        setText(detail, `Excluded: ${result.excluded.join(', ')}`);
+      } else if (result.matched.length > 0) {
+        setText(detail, `Weak match: ${result.matched.join(', ')} · ${Math.round(result.score * 100)}%`);
+      } else {
+        setText(detail, '');
+      }
+    }
+
+    // Rescans revisit every filtered item; writing the same text again
+    // would still add a node and wake the MutationObserver
+    function setText(el, text) {
+      if (el.textContent !== text) el.textContent = text;
+    }
+
+    function markRelevant(item) {
+      item.classList.remove(`${PREFIX}-filtered`);
+      item.querySelectorAll(`.${PREFIX}-overlay, .${PREFIX}-stub`).forEach(el => el.remove());
+    }
+
+    function setFilterStyle(filterStyle) {
+      document.documentElement.setAttribute(STYLE_ATTR, filterStyle || 'blur');
+    }
+
+    // Un-blur one item for the rest of this goal and log the override
+    function revealItem(item, title) {
+      revealedTitles.add(title);
+      markRelevant(item);
+      trackEvent(revealEvent);
+      chrome.runtime.sendMessage({ type: 'LOG_REVEAL', title }).catch(() => {});
+    }
+
+    // ── Scan All Items ────────────────────────────────────
+
+    // Filtering is off while paused, without a goal, on a session break,
+    // or on a route the rules don't leave to filter mode
+    function isFilteringActive() {
+      return isEnabled && !!currentGoal && sessionPhase !== 'break' && isFilterRoute();
+    }
+
+    function isFilterRoute() {
+      return FFNavigation.routeAction(routes, 'filter') === 'filter';
+    }
+
+    function scanItems() {
+      const newlyHidden = hideDistractions();
+      if (newlyHidden > 0) trackEvent('itemHidden', newlyHidden);
+
+      if (!isFilteringActive()) {
+        clearAllFilters();
+        notifyScan();
+        return;
+      }
+
+      let newlyBlurred = 0;
+
+      document.querySelectorAll(adapter.itemSelector).forEach(item => {
+        if (item.classList.contains(`${PREFIX}-hidden`)) return;
+
+        const title = (adapter.getText(item) || '').trim();
+        if (!title) return;
+
+        const details = adapter.getDetails ? adapter.getDetails(item) || '' : '';
+        const channel = adapter.getChannel ? (adapter.getChannel(item) || '').trim() : '';
+        const result = evaluateItem(`${title} ${details}`, channel, title);
+        if (result.relevant || revealedTitles.has(title)) {
+          markRelevant(item);
+        } else if (markIrrelevant(item, result, title, channel)) {
+          newlyBlurred++;
+        }
+      });
+
+      // One message per scan rather than one per item
+      if (newlyBlurred > 0) trackEvent(blurEvent, newlyBlurred);
+      notifyScan();
+    }
+
+    // Distractions go whenever the extension is on (a goal isn't needed
+    // to know Reels are off-limits) and come back on a session break.
+    // Returns how many elements were newly hidden.
+    function hideDistractions() {
+      const hiddenClass = `${PREFIX}-hidden`;
+      if (!isEnabled || sessionPhase === 'break' || !isFilterRoute()) {
+        document.querySelectorAll(`.${hiddenClass}`).forEach(el => el.classList.remove(hiddenClass));
+        return 0;
+      }
+
+      const found = adapter.findDistractions ? adapter.findDistractions() : [];
+      if (adapter.isDistraction) {
+        document.querySelectorAll(adapter.itemSelector).forEach(item => {
+          if (adapter.isDistraction(item)) found.push(item);
+        });
+      }
+
+      let count = 0;
+      found.forEach(el => {
+        if (el.classList.contains(hiddenClass)) return;
+        el.classList.add(hiddenClass);
+        count++;
+      });
+      return count;
+    }
+
+    // Runs after every scan: goal/toggle/session changes, DOM changes, navigation
+    function notifyScan() {
+      reportPageCount();
+      scanListeners.forEach(listener => listener());
+    }
+
+    // ── Clear All Filters ─────────────────────────────────
+    function clearAllFilters() {
+      document.querySelectorAll(`.${PREFIX}-filtered`).forEach(markRelevant);
+    }
+
+    // ── Stats Reporting ───────────────────────────────────
+    function trackEvent(event, count = 1) {
+      chrome.runtime.sendMessage({ type: 'TRACK_EVENT', event, count }).catch(() => {});
+    }
+
+    // Items filtered or hidden on the page, sent only when it changes.
+    // Single-page sites keep earlier pages in the DOM under a hidden
+    // ancestor (YouTube's inactive ytd-browse), so those don't count.
+    function reportPageCount() {
+      const count = [...document.querySelectorAll(`.${PREFIX}-filtered, .${PREFIX}-hidden`)]
+        .filter(el => !el.parentElement || !el.parentElement.closest('[hidden]'))
+        .length;
+      if (count === reportedCount) return;
+      reportedCount = count;
+      chrome.runtime.sendMessage({ type: 'PAGE_FILTERED', count }).catch(() => {});
+    }
+
+    // ── Debounced Scan ────────────────────────────────────
+    // Prevents excessive scanning during rapid DOM changes (infinite scroll)
+    function debouncedScan() {
+      if (scanTimer) clearTimeout(scanTimer);
+      scanTimer = setTimeout(scanItems, 300);
+    }
+
+    // ── MutationObserver ──────────────────────────────────
+    // Watches for new items being added to the DOM (infinite scroll, navigation).
+    // Overlays and stubs this file adds don't count.
+    const isOwnNode = node => {
+      const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return !!el && !!el.closest(`.${PREFIX}-overlay, .${PREFIX}-stub`);
+    };
+
+    const observer = new MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        if ([...mutation.addedNodes].some(node => !isOwnNode(node))) {
+          debouncedScan();
+          return;
+        }
+      }
+    });
+
+    // ── Message Listener ──────────────────────────────────
+    // React to real-time updates from popup via background
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type === 'GOAL_UPDATED') {
+        setGoal(message.goal, message);
+        scanItems();
+      }
+      if (message.type === 'TOGGLE_CHANGED') {
+        isEnabled = message.isEnabled;
+        scanItems();
+      }
+      if (message.type === 'SESSION_CHANGED') {
+        sessionPhase = message.phase;
+        scanItems();
+      }
+      if (message.type === 'SITE_CHANGED' && message.site.domain === currentSite) {
+        setFilterStyle(message.site.filterStyle);
+        routes = message.site.routes || [];
+        scanItems();
+      }
+    });
+
+    // ── Initialize ────────────────────────────────────────
+    chrome.runtime.sendMessage({ type: 'GET_STATE' }, (response) => {
+      if (chrome.runtime.lastError) return;
+      if (response) {
+        setGoal(response.focusGoal, response);
+        isEnabled = response.isEnabled !== false;
+        sessionPhase = response.sessionPhase || null;
+        currentSite = response.site || '';
+        routes = response.routes || [];
+        setFilterStyle(response.filterStyle);
+        scanItems();
+      }
+    });
+
+    // Start observing for dynamically loaded content
+    observer.observe(document.body, { childList: true, subtree: true });
+
+    // Also rescan on in-page navigation of single-page apps. The
+    // background resets the tab's badge on navigation, so report afresh.
+    FFNavigation.onChange(() => {
+      reportedCount = null;
+      debouncedScan();
+    });
+
+    return {
+      evaluate: evaluateItem,
+      isActive: isFilteringActive,
+      getGoal: () => currentGoal,
+      onScan: listener => scanListeners.push(listener)
+    };
+  }
+
+  // ── Adapter Helpers ───────────────────────────────────
+  // Instagram and Facebook obfuscate class names, so surgical adapters
+  // find things by their visible labels instead.
+
+  /**
+   * Elements under `scope` matching `selector` whose whole text is one of
+   * `labels` (case-insensitive), e.g. the "Sponsored" line on a post.
+   * @returns {Element[]}
+   */
+  function findLabels(scope, selector, labels) {
+    const wanted = labels.map(label => label.toLowerCase());
+    return [...scope.querySelectorAll(selector)]
+      .filter(el => wanted.includes(el.textContent.trim().toLowerCase()));
+  }
+
+  /**
+   * The block a heading like "Suggested for you" introduces: its closest
+   * ancestor, within a few levels, that also holds at least two links.
+   * @returns {Element|null}
+   */
+  function sectionFor(heading, maxDepth = 6) {
+    let el = heading;
+    for (let i = 0; i < maxDepth && el.parentElement; i++) {
+      el = el.parentElement;
+      if (el.querySelectorAll('a[href]').length >= 2) return el;
+    }
+    return null;
+  }
+
+  root.FFFeedFilter = { start, findLabels, sectionFor };
+})(globalThis);
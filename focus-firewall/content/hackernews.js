@@ -0,0 +1,21 @@
+/**
+ * Focus Firewall — Hacker News Adapter
+ * Feed-filter adapter for story listings (front page, new, ask, show).
+ * Filtering itself lives in content/feed-filter.js.
+ */
+
+(function () {
+  'use strict';
+
+  FFFeedFilter.start({
+    // Each story is a table row; only its title line is blurred so the
+    // badge has a positioned cell to sit in
+    itemSelector: 'tr.athing',
+    mediaSelector: '.titleline',
+
+    getText(story) {
+      const link = story.querySelector('.titleline > a');
+      return link ? link.textContent : '';
+    }
+  });
+})();
@@ -0,0 +1,54 @@
+/**
+ * Focus Firewall — Instagram Adapter
+ * Surgical feed-filter adapter: for when Instagram is needed for
+ * messages, just without the feed. Stories, Reels, "Suggested for you"
+ * and sponsored posts are hidden outright; remaining posts are scored
+ * by caption. Filtering itself lives in content/feed-filter.js.
+ *
+ * Instagram's class names are generated, so everything here keys off
+ * tags, links, ARIA labels and visible text.
+ */
+
+(function () {
+  'use strict';
+
+  // Post headers label ads and recommendations with one of these
+  const DISTRACTION_LABELS = ['Sponsored', 'Suggested for you', 'Paid partnership'];
+
+  FFFeedFilter.start({
+    itemSelector: 'main article',
+
+    // Caption, plus the image's alt text (Instagram's own description,
+    // e.g. "Photo by … May be an image of text that says …")
+    getText(post) {
+      const caption = post.querySelector('h1');
+      const image = post.querySelector('img[alt]:not([alt=""])');
+      return [caption && caption.textContent, image && image.alt].filter(Boolean).join(' ');
+    },
+
+    getChannel(post) {
+      const author = post.querySelector('header a[href^="/"]:not([href^="/explore/"])');
+      return author ? author.textContent.trim() : '';
+    },
+
+    // Reels in the home feed link to /reel/<id>/
+    isDistraction(post) {
+      return !!post.querySelector('a[href^="/reel/"]') ||
+        FFFeedFilter.findLabels(post, 'header span, header a', DISTRACTION_LABELS).length > 0;
+    },
+
+    findDistractions() {
+      const found = [
+        // Stories tray above the feed, and the Reels tab in the sidebar
+        ...document.querySelectorAll('main [role="menu"], [aria-label="Stories"], a[href="/reels/"]')
+      ];
+      // "Suggested for you" account lists in the feed and the right column
+      FFFeedFilter.findLabels(document, 'main span, main h4', ['Suggested for you']).forEach(label => {
+        if (label.closest('article')) return; // Handled per post
+        const section = FFFeedFilter.sectionFor(label);
+        if (section) found.push(section);
+      });
+      return found;
+    }
+  });
+})();
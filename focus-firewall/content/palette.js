@@ -0,0 +1,317 @@
+/**
+ * Focus Firewall — Quick-Goal Palette
+ * Injected into the active tab by the "quick-goal" keyboard shortcut
+ * (see background.js). Pressing the shortcut again closes it.
+ *
+ * - Fuzzy search over goal profiles and the goal history, pinned
+ *   goals first
+ * - Enter picks the highlighted entry; anything typed that matches
+ *   nothing can be set as a new goal
+ * - Arrow keys move, Escape or a click outside closes
+ * - Keys typed here don't reach the page's own shortcuts
+ * - Rendered in a closed Shadow DOM so the page's CSS can't reach it
+ */
+
+(function () {
+  'use strict';
+
+  const PREFIX = 'ff-palette';
+
+  // Entries shown at once
+  const MAX_RESULTS = 8;
+
+  const existing = document.getElementById(`${PREFIX}-host`);
+  if (existing) {
+    existing.remove();
+    return;
+  }
+
+  // ── State ─────────────────────────────────────────────
+  let entries = [];   // { kind: 'profile' | 'pinned' | 'goal' | 'new', label, detail, id, goal }
+  let results = [];
+  let selected = 0;
+  let currentGoal = '';
+
+  // ── Create Shadow DOM Host ────────────────────────────
+  const host = document.createElement('div');
+  host.id = `${PREFIX}-host`;
+  host.style.cssText = `
+    position: fixed !important;
+    inset: 0 !important;
+    z-index: 2147483647 !important;
+  `;
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = getPaletteHTML();
+  document.documentElement.appendChild(host);
+
+  const input = root.getElementById(`${PREFIX}-input`);
+  const list = root.getElementById(`${PREFIX}-list`);
+
+  root.getElementById(`${PREFIX}-backdrop`).addEventListener('mousedown', (e) => {
+    if (e.target === e.currentTarget) close();
+  });
+
+  // Keep the site's keyboard shortcuts from firing while typing
+  ['keydown', 'keyup', 'keypress'].forEach(type => {
+    input.addEventListener(type, e => e.stopPropagation());
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      close();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      selected = (selected + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+      render();
+    } else if (e.key === 'Enter' && results[selected]) {
+      e.preventDefault();
+      pick(results[selected]);
+    }
+  });
+
+  input.addEventListener('input', () => {
+    selected = 0;
+    search();
+  });
+
+  input.focus();
+
+  chrome.runtime.sendMessage({ type: 'GET_QUICK_GOALS' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    currentGoal = response.focusGoal;
+    const profileGoals = new Set(response.profiles.map(p => p.goal.toLowerCase()));
+    entries = [
+      ...response.profiles.map(profile => ({
+        kind: 'profile',
+        id: profile.id,
+        label: profile.name,
+        detail: profile.goal,
+        goal: profile.goal
+      })),
+      // A past goal that is also a profile's would only be listed twice
+      ...response.goalHistory
+        .filter(({ goal }) => !profileGoals.has(goal.toLowerCase()))
+        .map(({ goal, pinned }) => ({ kind: pinned ? 'pinned' : 'goal', label: goal, detail: '', goal }))
+    ];
+    search();
+  });
+
+  // ── Search ────────────────────────────────────────────
+
+  // Subsequence match: every query character must appear in order.
+  // Consecutive runs and word starts score higher; null means no match.
+  function fuzzyScore(query, text) {
+    const q = query.toLowerCase().replace(/\s+/g, '');
+    const t = text.toLowerCase();
+    let score = 0;
+    let from = 0;
+    let run = 0;
+    for (const ch of q) {
+      const found = t.indexOf(ch, from);
+      if (found < 0) return null;
+      run = found === from && from > 0 ? run + 1 : 0;
+      score += 1 + run * 2 + (found === 0 || t[found - 1] === ' ' ? 3 : 0);
+      from = found + 1;
+    }
+    return score - t.length * 0.01; // Shorter texts win ties
+  }
+
+  function search() {
+    const query = input.value.trim();
+    if (!query) {
+      results = entries.slice(0, MAX_RESULTS);
+    } else {
+      results = entries
+        .map(entry => ({
+          entry,
+          score: Math.max(
+            fuzzyScore(query, entry.label) ?? -Infinity,
+            fuzzyScore(query, entry.detail) ?? -Infinity
+          )
+        }))
+        .filter(match => match.score > -Infinity)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_RESULTS)
+        .map(match => match.entry);
+
+      // Typing something new always offers it as the goal
+      if (!results.some(entry => entry.goal.toLowerCase() === query.toLowerCase())) {
+        results.push({ kind: 'new', label: query, detail: 'Set as new goal', goal: query });
+      }
+    }
+    selected = Math.min(selected, Math.max(0, results.length - 1));
+    render();
+  }
+
+  // ── Render ────────────────────────────────────────────
+  function render() {
+    list.innerHTML = '';
+    if (results.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = `${PREFIX}-empty`;
+      empty.textContent = 'No recent goals or profiles yet. Type a goal and press Enter.';
+      list.appendChild(empty);
+      return;
+    }
+
+    results.forEach((entry, index) => {
+      const item = document.createElement('li');
+      item.className = `${PREFIX}-item` + (index === selected ? ' selected' : '');
+
+      const kind = document.createElement('span');
+      kind.className = `${PREFIX}-kind`;
+      kind.textContent = { profile: 'Profile', pinned: 'Pinned', goal: 'Recent', new: 'New' }[entry.kind];
+
+      const label = document.createElement('span');
+      label.className = `${PREFIX}-label`;
+      label.textContent = entry.label;
+
+      item.append(kind, label);
+      if (entry.detail && entry.detail !== entry.label) {
+        const detail = document.createElement('span');
+        detail.className = `${PREFIX}-detail`;
+        detail.textContent = entry.detail;
+        item.appendChild(detail);
+      }
+      if (entry.goal.toLowerCase() === currentGoal.toLowerCase() && entry.kind !== 'new') {
+        item.classList.add('current');
+        item.title = 'Current goal';
+      }
+
+      item.addEventListener('mousemove', () => {
+        if (selected === index) return;
+        selected = index;
+        render();
+      });
+      item.addEventListener('click', () => pick(entry));
+      list.appendChild(item);
+    });
+  }
+
+  // ── Pick & Close ──────────────────────────────────────
+  // The background broadcasts GOAL_UPDATED to every tab either way
+  function pick(entry) {
+    const message = entry.kind === 'profile'
+      ? { type: 'ACTIVATE_PROFILE', id: entry.id }
+      : { type: 'SET_GOAL', goal: entry.goal };
+    chrome.runtime.sendMessage(message).catch(() => {});
+    close();
+  }
+
+  function close() {
+    host.remove();
+  }
+
+  function getPaletteHTML() {
+    return `
+      <style>
+        .${PREFIX}-backdrop {
+          position: fixed;
+          inset: 0;
+          display: flex;
+          justify-content: center;
+          align-items: flex-start;
+          padding-top: 14vh;
+          background: rgba(5, 10, 20, 0.45);
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+        }
+
+        .${PREFIX}-panel {
+          width: min(560px, 92vw);
+          background: linear-gradient(170deg, #0d1224 0%, #111a30 100%);
+          border: 1px solid rgba(33, 150, 243, 0.25);
+          border-radius: 16px;
+          box-shadow: 0 25px 60px rgba(0, 0, 0, 0.55);
+          overflow: hidden;
+        }
+
+        .${PREFIX}-input {
+          width: 100%;
+          box-sizing: border-box;
+          padding: 16px 18px;
+          background: transparent;
+          border: none;
+          border-bottom: 1px solid rgba(255, 255, 255, 0.06);
+          color: #e0e6f0;
+          font-size: 15px;
+          font-family: inherit;
+          outline: none;
+        }
+
+        .${PREFIX}-input::placeholder {
+          color: #4a6a8a;
+        }
+
+        .${PREFIX}-list {
+          list-style: none;
+          margin: 0;
+          padding: 6px;
+          max-height: 50vh;
+          overflow-y: auto;
+        }
+
+        .${PREFIX}-item {
+          display: flex;
+          align-items: baseline;
+          gap: 10px;
+          padding: 9px 12px;
+          border-radius: 10px;
+          color: #b8d4f0;
+          font-size: 13px;
+          cursor: pointer;
+        }
+
+        .${PREFIX}-item.selected {
+          background: rgba(33, 150, 243, 0.14);
+        }
+
+        .${PREFIX}-item.current .${PREFIX}-label::after {
+          content: ' ●';
+          color: #64B5F6;
+        }
+
+        .${PREFIX}-kind {
+          flex-shrink: 0;
+          width: 52px;
+          font-size: 9.5px;
+          font-weight: 700;
+          letter-spacing: 1px;
+          text-transform: uppercase;
+          color: #5a9fd4;
+        }
+
+        .${PREFIX}-label {
+          color: #e0e6f0;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .${PREFIX}-detail {
+          flex: 1;
+          min-width: 0;
+          color: #5a7a9a;
+          font-size: 12px;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .${PREFIX}-empty {
+          padding: 12px;
+          color: #5a7a9a;
+          font-size: 12.5px;
+        }
+      </style>
+
+      <div class="${PREFIX}-backdrop" id="${PREFIX}-backdrop">
+        <div class="${PREFIX}-panel" role="dialog" aria-label="Quick goal">
+          <input class="${PREFIX}-input" id="${PREFIX}-input" type="text" maxlength="200"
+                 autocomplete="off" spellcheck="false" placeholder="Switch focus goal…">
+          <ul class="${PREFIX}-list" id="${PREFIX}-list"></ul>
+        </div>
+      </div>
+    `;
+  }
+})();
@@ -0,0 +1,25 @@
+/**
+ * Focus Firewall — Reddit Adapter
+ * Feed-filter adapter for Reddit posts, on both the current site
+ * (shreddit web components) and old.reddit.com.
+ * Filtering itself lives in content/feed-filter.js.
+ */
+
+(function () {
+  'use strict';
+
+  FFFeedFilter.start({
+    // New Reddit wraps each feed post in an <article>; old Reddit uses .thing rows.
+    // Posts themselves render in shadow DOM, so we blur and badge the wrapper.
+    itemSelector: 'article:has(> shreddit-post), .thing.link',
+
+    getText(item) {
+      const post = item.querySelector('shreddit-post');
+      if (post && post.hasAttribute('post-title')) {
+        return post.getAttribute('post-title');
+      }
+      const titleEl = item.querySelector('[slot="title"], a.title');
+      return titleEl ? titleEl.textContent : '';
+    }
+  });
+})();
@@ -1,13 +1,34 @@
 /**
  * Focus Firewall — Social Media Content Script
- * Intercepts Instagram & Facebook with a focus-reminder modal.
+ * Intercepts sites in "interrupt" mode (Instagram and Facebook by
+ * default, plus any the user adds) with a focus-reminder modal.
+ *
+ * Also the route guard for every guarded site: route rules (see
+ * lib/navigation.js) can leave parts of an interrupt site open
+ * ('allow'), interrupt parts of a filter site ('interrupt'), or hide a
+ * route on any site behind a screen with no Continue ('hide'). Rules
+ * are re-checked on every in-page navigation.
  *
  * Behaviour:
  * - On page load, shows a blocking modal with the user's current goal.
  * - User can choose "Continue for 5 minutes" or "Go Back".
- * - After 5 minutes, the modal reappears.
+ * - The 5-minute allowance is owned by the background worker and shared
+ *   by every tab of the site; when it runs out the modal reappears in
+ *   all of them, and reloading doesn't reset it.
  * - If extension is toggled OFF, modal is removed and timer is cleared.
+ * - Sites with a daily budget switch to a hard-block modal (no Continue)
+ *   once the budget is used up, until midnight or a cooldown passes.
+ * - During a focus-session work phase the modal cannot be dismissed;
+ *   during a break it stays away entirely.
+ * - Continue has friction set on the options page: a wait before it
+ *   unlocks (longer with each Continue today) and optionally typing the
+ *   goal or a reason, which the background saves for later review.
+ * - While an allowance runs, a small draggable pill shows the time left
+ *   and the goal, turns amber in the last minute, and can end the
+ *   allowance early.
  * - All DOM is injected inside a Shadow DOM to avoid CSS conflicts.
+ * - Reports modal/button events and visible browsing time for stats,
+ *   and visible time on any route of the site for the goal journal.
  */
 
 (function () {
@@ -16,17 +37,41 @@
   // ── State ─────────────────────────────────────────────
   let currentGoal = '';
   let isEnabled   = true;
+  let sessionPhase = null; // 'work' | 'break' | null (no session)
+  let currentSite = '';       // e.g. "instagram.com", as keyed by background
+  let currentSiteName = '';   // e.g. "Instagram", from the site list
+  let siteMode = 'interrupt'; // What routes without a rule get
+  let routes = [];            // The site's route rules
+  let allowanceExpiresAt = null;
+  let budget = null;          // { minutes, usedSeconds, blockedUntil } from background
+  let friction = { waitSeconds: 0, typing: 'none', continuesToday: 0 }; // From background
+  let unlockAt = 0;           // When Continue unlocks for the modal on screen
+  let unlockTimer = null;
   let countdownTimer = null;
   let remainingSeconds = 0;
   let shadowRoot = null;
   let hostElement = null;
+  let pillRoot = null;
+  let pillHost = null;
+  let pillPosition = null;    // { x, y } as fractions of the free viewport space
 
   // Unique ID prefix to avoid any collisions
   const PREFIX = 'ff-social';
 
+  // How often visible browsing time is reported, in seconds
+  const USAGE_INTERVAL = 15;
+
+  // A typed reason shorter than this doesn't unlock Continue
+  const MIN_REASON_LENGTH = 3;
+
+  // The countdown pill turns amber below this many seconds
+  const PILL_WARNING_SECONDS = 60;
+  // Closest the pill gets to the viewport edge, in px
+  const PILL_MARGIN = 16;
+
   // ── Create Shadow DOM Host ────────────────────────────
   // We use Shadow DOM to completely isolate our modal styles
-  // from Instagram/Facebook's CSS.
+  // from the host site's CSS.
   function createShadowHost() {
     if (hostElement) return;
 
@@ -47,16 +92,12 @@
 
   // ── Build Modal HTML ──────────────────────────────────
   function getModalHTML(goal) {
-    const siteName = location.hostname.includes('instagram') ? 'Instagram' : 'Facebook';
-    const siteIcon = location.hostname.includes('instagram')
-      ? `<svg width="28" height="28" viewBox="0 0 24 24" fill="none">
-           <rect x="2" y="2" width="20" height="20" rx="6" stroke="#E1306C" stroke-width="2"/>
-           <circle cx="12" cy="12" r="5" stroke="#E1306C" stroke-width="2"/>
-           <circle cx="17.5" cy="6.5" r="1.5" fill="#E1306C"/>
-         </svg>`
-      : `<svg width="28" height="28" viewBox="0 0 24 24" fill="#1877F2">
-           <path d="M24 12c0-6.627-5.373-12-12-12S0 5.373 0 12c0 5.99 4.388 10.954 10.125 11.854V15.47H7.078V12h3.047V9.356c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.875V12h3.328l-.532 3.47h-2.796v8.385C19.612 22.954 24 17.99 24 12z"/>
-         </svg>`;
+    const hidden = routeAction() === 'hide';
+    const blocked = !hidden && isBlocked();
+    const canContinue = sessionPhase !== 'work' && !blocked && !hidden;
+    const siteName = escapeHTML(currentSiteName || location.hostname);
+    const siteIcon = `<img class="${PREFIX}-site-icon" src="${escapeHTML(getFaviconURL())}"
+                          width="20" height="20" alt="">`;
 
     return `
       <style>
@@ -152,6 +193,11 @@
           z-index: 1;
         }
 
+        .${PREFIX}-site-icon {
+          border-radius: 4px;
+          flex-shrink: 0;
+        }
+
         .${PREFIX}-site-name {
           font-size: 13px;
           font-weight: 500;
@@ -206,29 +252,6 @@
           word-break: break-word;
         }
 
-        /* ── Timer Display ── */
-        .${PREFIX}-timer {
-          display: none;
-          font-size: 12px;
-          color: #5a9fd4;
-          margin-bottom: 20px;
-          font-variant-numeric: tabular-nums;
-          position: relative;
-          z-index: 1;
-        }
-
-        .${PREFIX}-timer.visible {
-          display: block;
-        }
-
-        .${PREFIX}-timer-value {
-          font-size: 22px;
-          font-weight: 700;
-          color: #64B5F6;
-          display: block;
-          margin-top: 4px;
-        }
-
         /* ── Buttons ── */
         .${PREFIX}-buttons {
           display: flex;
@@ -269,6 +292,13 @@
           transform: translateY(0);
         }
 
+        .${PREFIX}-btn-continue:disabled {
+          opacity: 0.45;
+          cursor: not-allowed;
+          transform: none;
+          box-shadow: none;
+        }
+
         .${PREFIX}-btn-back {
           background: rgba(255, 255, 255, 0.05);
           border: 1px solid rgba(255, 255, 255, 0.1);
@@ -286,6 +316,69 @@
           transform: translateY(0);
         }
 
+        /* ── Budget ── */
+        .${PREFIX}-budget {
+          font-size: 12px;
+          color: #6a8aaa;
+          margin: -12px 0 20px;
+          position: relative;
+          z-index: 1;
+        }
+
+        .${PREFIX}-block-note {
+          font-size: 12.5px;
+          color: #ef9a9a;
+          margin-bottom: 18px;
+          padding: 10px 14px;
+          background: rgba(244, 67, 54, 0.06);
+          border: 1px solid rgba(244, 67, 54, 0.2);
+          border-radius: 12px;
+          position: relative;
+          z-index: 1;
+        }
+
+        /* ── Continue Friction ── */
+        .${PREFIX}-friction-note {
+          font-size: 12px;
+          color: #ffcc80;
+          margin-bottom: 14px;
+          position: relative;
+          z-index: 1;
+        }
+
+        .${PREFIX}-friction-input {
+          width: 100%;
+          box-sizing: border-box;
+          padding: 11px 14px;
+          margin-bottom: 14px;
+          background: rgba(255, 255, 255, 0.04);
+          border: 1.5px solid rgba(33, 150, 243, 0.15);
+          border-radius: 12px;
+          color: #e0e6f0;
+          font-size: 13px;
+          font-family: inherit;
+          outline: none;
+          position: relative;
+          z-index: 1;
+        }
+
+        .${PREFIX}-friction-input:focus {
+          border-color: rgba(33, 150, 243, 0.5);
+        }
+
+        /* ── Session Lock Notice ── */
+        .${PREFIX}-session-note {
+          font-size: 12px;
+          color: #8aa8c8;
+          margin-bottom: 18px;
+          padding: 10px 14px;
+          background: rgba(33, 150, 243, 0.06);
+          border: 1px dashed rgba(33, 150, 243, 0.25);
+          border-radius: 12px;
+          position: relative;
+          z-index: 1;
+        }
+
         /* ── No Goal State ── */
         .${PREFIX}-no-goal {
           font-size: 13px;
@@ -328,7 +421,9 @@
             <span class="${PREFIX}-site-name">${siteName} Detected</span>
           </div>
 
-          <h2 class="${PREFIX}-title">Focus Firewall Active</h2>
+          <h2 class="${PREFIX}-title">${
+            hidden ? 'Page Hidden' : blocked ? 'Daily Limit Reached' : 'Focus Firewall Active'
+          }</h2>
           <p class="${PREFIX}-subtitle">You are currently working on:</p>
 
           ${goal
@@ -341,10 +436,36 @@
                </div>`
           }
 
-          <div class="${PREFIX}-timer" id="${PREFIX}-timer">
-            <span>Time remaining</span>
-            <span class="${PREFIX}-timer-value" id="${PREFIX}-timer-value">5:00</span>
-          </div>
+          ${budget && budget.minutes > 0 && !blocked
+            ? `<div class="${PREFIX}-budget">
+                 ${Math.floor(budget.usedSeconds / 60)} of ${budget.minutes} min used today
+               </div>`
+            : ''
+          }
+
+          ${blocked
+            ? `<div class="${PREFIX}-block-note">
+                 ⛔ You've used today's ${budget.minutes} min on ${siteName}.
+                 It unlocks at ${formatClock(budget.blockedUntil)}.
+               </div>`
+            : ''
+          }
+
+          ${hidden
+            ? `<div class="${PREFIX}-block-note">
+                 🚫 Your route rules hide ${escapeHTML(location.pathname)} on ${siteName}.
+               </div>`
+            : ''
+          }
+
+          ${sessionPhase === 'work' && !blocked && !hidden
+            ? `<div class="${PREFIX}-session-note">
+                 ⏱ Focus session in progress — this site unlocks at your next break.
+               </div>`
+            : ''
+          }
+
+          ${canContinue ? getFrictionHTML(siteName) : ''}
 
           <div class="${PREFIX}-buttons">
             <button class="${PREFIX}-btn ${PREFIX}-btn-back" id="${PREFIX}-btn-back">
@@ -354,20 +475,41 @@
               </svg>
               Go Back
             </button>
-            <button class="${PREFIX}-btn ${PREFIX}-btn-continue" id="${PREFIX}-btn-continue">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
-                <circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="2"/>
-                <path d="M12 6v6l4 2" stroke="currentColor" stroke-width="2"
-                      stroke-linecap="round" stroke-linejoin="round"/>
-              </svg>
-              Continue 5 min
-            </button>
+            ${canContinue
+              ? `<button class="${PREFIX}-btn ${PREFIX}-btn-continue" id="${PREFIX}-btn-continue" disabled>
+                   <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+                     <circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="2"/>
+                     <path d="M12 6v6l4 2" stroke="currentColor" stroke-width="2"
+                           stroke-linecap="round" stroke-linejoin="round"/>
+                   </svg>
+                   Continue 5 min<span id="${PREFIX}-unlock"></span>
+                 </button>`
+              : ''
+            }
           </div>
         </div>
       </div>
     `;
   }
 
+  // Escalation note and typing prompt shown above the Continue button
+  function getFrictionHTML(siteName) {
+    const note = friction.continuesToday > 0 && friction.waitSeconds > 0
+      ? `<div class="${PREFIX}-friction-note">
+           Continue #${friction.continuesToday + 1} today — the wait grows each time.
+         </div>`
+      : '';
+    const typing = frictionTyping();
+    if (typing === 'none') return note;
+
+    const placeholder = typing === 'goal'
+      ? 'Type your focus goal to continue'
+      : `Why do you need ${siteName} right now?`;
+    return `${note}
+      <input class="${PREFIX}-friction-input" id="${PREFIX}-friction-input" type="text"
+             maxlength="200" autocomplete="off" spellcheck="false" placeholder="${placeholder}">`;
+  }
+
   // ── Helpers ───────────────────────────────────────────
 
   function escapeHTML(str) {
@@ -376,6 +518,47 @@
     return div.innerHTML;
   }
 
+  // The page's own icon, falling back to the conventional location
+  function getFaviconURL() {
+    const link = document.querySelector('link[rel~="icon"]');
+    return link && link.href ? link.href : `${location.origin}/favicon.ico`;
+  }
+
+  // Wall-clock time, e.g. "00:00" or "3:45 PM" depending on locale
+  function formatClock(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  // 'interrupt', 'hide', 'allow', or 'filter' (left to the feed filter)
+  function routeAction() {
+    return FFNavigation.routeAction(routes, siteMode);
+  }
+
+  function isGuardedRoute() {
+    const action = routeAction();
+    return action === 'interrupt' || action === 'hide';
+  }
+
+  function isBlocked() {
+    return !!(budget && budget.blockedUntil && budget.blockedUntil > Date.now());
+  }
+
+  // Without a goal to type, ask for a reason instead
+  function frictionTyping() {
+    return friction.typing === 'goal' && !currentGoal ? 'reason' : friction.typing;
+  }
+
+  // Case and spacing don't matter when typing the goal back
+  function normalize(text) {
+    return text.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  function isFrictionSatisfied(input) {
+    if (!input) return true;
+    if (frictionTyping() === 'goal') return normalize(input.value) === normalize(currentGoal);
+    return input.value.trim().length >= MIN_REASON_LENGTH;
+  }
+
   function formatTime(seconds) {
     const m = Math.floor(seconds / 60);
     const s = seconds % 60;
@@ -384,7 +567,18 @@
 
   // ── Show Modal ────────────────────────────────────────
   function showModal() {
-    if (!isEnabled) return;
+    if (!isEnabled || sessionPhase === 'break') return;
+    if (!isGuardedRoute()) {
+      hideModal();
+      return;
+    }
+
+    // Re-renders (e.g. goal change) are not new interruptions,
+    // so they neither count again nor restart the wait
+    if (!isModalShowing()) {
+      trackEvent('modalShown');
+      unlockAt = Date.now() + friction.waitSeconds * 1000;
+    }
 
     createShadowHost();
     hostElement.style.pointerEvents = 'auto';
@@ -397,6 +591,7 @@
     const btnContinue = shadowRoot.getElementById(`${PREFIX}-btn-continue`);
 
     btnBack.addEventListener('click', () => {
+      trackEvent('goBack');
       // Navigate back or close tab
       if (window.history.length > 1) {
         window.history.back();
@@ -405,14 +600,65 @@
       }
     });
 
+    // No Continue button during a session's work phase or when blocked
+    if (btnContinue) wireContinue(btnContinue);
+  }
+
+  // Continue stays disabled until the wait is over and any typing is done
+  function wireContinue(btnContinue) {
+    const input = shadowRoot.getElementById(`${PREFIX}-friction-input`);
+    const unlockLabel = shadowRoot.getElementById(`${PREFIX}-unlock`);
+
+    const refresh = () => {
+      const wait = Math.ceil((unlockAt - Date.now()) / 1000);
+      unlockLabel.textContent = wait > 0 ? ` (${wait})` : '';
+      btnContinue.disabled = wait > 0 || !isFrictionSatisfied(input);
+      if (wait <= 0) clearUnlockTimer();
+    };
+    clearUnlockTimer();
+    unlockTimer = setInterval(refresh, 250);
+    refresh();
+
+    if (input) {
+      input.addEventListener('input', refresh);
+      // Keep the site's keyboard shortcuts from firing while typing
+      ['keydown', 'keyup', 'keypress'].forEach(type => {
+        input.addEventListener(type, e => e.stopPropagation());
+      });
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !btnContinue.disabled) btnContinue.click();
+      });
+      // The goal has to be typed, not pasted
+      if (frictionTyping() === 'goal') {
+        input.addEventListener('paste', e => e.preventDefault());
+        input.addEventListener('drop', e => e.preventDefault());
+      }
+      input.focus();
+    }
+
     btnContinue.addEventListener('click', () => {
+      if (btnContinue.disabled) return;
+      const reason = input && frictionTyping() === 'reason' ? input.value.trim() : '';
+      trackEvent('continue');
       hideModal();
-      startTimer();
+      startTimer(reason);
     });
   }
 
+  function clearUnlockTimer() {
+    if (unlockTimer) {
+      clearInterval(unlockTimer);
+      unlockTimer = null;
+    }
+  }
+
+  function isModalShowing() {
+    return !!(shadowRoot && shadowRoot.querySelector(`.${PREFIX}-overlay`));
+  }
+
   // ── Hide Modal ────────────────────────────────────────
   function hideModal() {
+    clearUnlockTimer();
     if (shadowRoot) {
       shadowRoot.innerHTML = '';
     }
@@ -421,34 +667,263 @@
     }
   }
 
-  // ── 5-Minute Timer ────────────────────────────────────
-  // After 5 minutes, the modal reappears as a reminder.
-  function startTimer() {
+  // ── Shared Allowance Timer ────────────────────────────
+  // "Continue 5 min" asks the background for an allowance shared by every
+  // tab of this site. Each tab counts down to the same expiry, and the
+  // background's alarm brings the modal back in all of them together.
+  function startTimer(reason) {
+    chrome.runtime.sendMessage({ type: 'START_ALLOWANCE', site: currentSite, reason }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      // Refused (budget used up): put the modal back in its blocked state
+      applyAllowance(response.success ? response.expiresAt : null);
+    });
+  }
+
+  // Sync this tab with the site's allowance (null = none or expired)
+  function applyAllowance(expiresAt) {
     clearTimer();
-    remainingSeconds = 5 * 60; // 5 minutes
+    allowanceExpiresAt = expiresAt && expiresAt > Date.now() ? expiresAt : null;
 
+    if (!allowanceExpiresAt) {
+      showModal();
+      return;
+    }
+
+    // An allowance opens the site, but not the routes it hides
+    if (routeAction() === 'hide') {
+      showModal();
+    } else {
+      hideModal();
+    }
+    updateRemaining();
+    showPill();
     countdownTimer = setInterval(() => {
-      remainingSeconds--;
+      updateRemaining();
+      updatePill();
 
       if (remainingSeconds <= 0) {
         clearTimer();
+        allowanceExpiresAt = null;
         // Time's up — show reminder modal again
         showModal();
       }
     }, 1000);
   }
 
+  function updateRemaining() {
+    remainingSeconds = Math.max(0, Math.ceil((allowanceExpiresAt - Date.now()) / 1000));
+  }
+
   function clearTimer() {
     if (countdownTimer) {
       clearInterval(countdownTimer);
       countdownTimer = null;
     }
     remainingSeconds = 0;
+    hidePill();
+  }
+
+  // ── Countdown Pill ────────────────────────────────────
+  // Lives in its own shadow host so the modal's host can stay
+  // click-through while the pill takes pointer events.
+  function showPill() {
+    if (!pillHost) {
+      pillHost = document.createElement('div');
+      pillHost.id = `${PREFIX}-pill-host`;
+      pillHost.style.cssText = `
+        position: fixed !important;
+        z-index: 2147483647 !important;
+      `;
+      pillRoot = pillHost.attachShadow({ mode: 'closed' });
+      pillRoot.innerHTML = getPillHTML();
+
+      pillRoot.getElementById(`${PREFIX}-pill-end`).addEventListener('click', () => {
+        // The background expires the allowance in every tab of the site
+        chrome.runtime.sendMessage({ type: 'END_ALLOWANCE', site: currentSite }).catch(() => {});
+      });
+      makeDraggable(pillRoot.getElementById(`${PREFIX}-pill`));
+    }
+    if (!pillHost.isConnected) document.documentElement.appendChild(pillHost);
+    updatePill();
+    positionPill();
+  }
+
+  function hidePill() {
+    if (pillHost) pillHost.remove();
+  }
+
+  function updatePill() {
+    if (!pillRoot) return;
+    const pill = pillRoot.getElementById(`${PREFIX}-pill`);
+    const goal = pillRoot.getElementById(`${PREFIX}-pill-goal`);
+    pillRoot.getElementById(`${PREFIX}-pill-time`).textContent = formatTime(remainingSeconds);
+    goal.textContent = currentGoal || 'No focus goal set';
+    goal.title = currentGoal;
+    pill.classList.toggle('warning', remainingSeconds <= PILL_WARNING_SECONDS);
+  }
+
+  // Drag anywhere on the pill except its button; the spot is remembered
+  function makeDraggable(pill) {
+    let grab = null; // Pointer offset inside the pill while dragging
+
+    pill.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || e.target.closest('button')) return;
+      const rect = pillHost.getBoundingClientRect();
+      grab = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+      pill.setPointerCapture(e.pointerId);
+      pill.classList.add('dragging');
+    });
+
+    pill.addEventListener('pointermove', (e) => {
+      if (grab) placePill(e.clientX - grab.x, e.clientY - grab.y);
+    });
+
+    const drop = () => {
+      if (!grab) return;
+      grab = null;
+      pill.classList.remove('dragging');
+      chrome.runtime.sendMessage({ type: 'SAVE_PILL_POSITION', position: pillPosition }).catch(() => {});
+    };
+    pill.addEventListener('pointerup', drop);
+    pill.addEventListener('pointercancel', drop);
+  }
+
+  // Put the pill at its saved spot (bottom right by default)
+  function positionPill() {
+    const { x, y } = pillPosition || { x: 1, y: 1 };
+    const [maxLeft, maxTop] = pillBounds();
+    placePill(PILL_MARGIN + x * (maxLeft - PILL_MARGIN), PILL_MARGIN + y * (maxTop - PILL_MARGIN));
   }
 
+  // Move the pill, kept inside the viewport, and note where it is
+  // relative to the viewport so it lands in the same corner elsewhere
+  function placePill(left, top) {
+    const [maxLeft, maxTop] = pillBounds();
+    left = Math.min(Math.max(left, PILL_MARGIN), maxLeft);
+    top = Math.min(Math.max(top, PILL_MARGIN), maxTop);
+    pillHost.style.setProperty('left', `${left}px`, 'important');
+    pillHost.style.setProperty('top', `${top}px`, 'important');
+    pillPosition = {
+      x: maxLeft > PILL_MARGIN ? (left - PILL_MARGIN) / (maxLeft - PILL_MARGIN) : 0,
+      y: maxTop > PILL_MARGIN ? (top - PILL_MARGIN) / (maxTop - PILL_MARGIN) : 0
+    };
+  }
+
+  function pillBounds() {
+    return [
+      Math.max(PILL_MARGIN, window.innerWidth - pillHost.offsetWidth - PILL_MARGIN),
+      Math.max(PILL_MARGIN, window.innerHeight - pillHost.offsetHeight - PILL_MARGIN)
+    ];
+  }
+
+  window.addEventListener('resize', () => {
+    if (pillHost && pillHost.isConnected) positionPill();
+  });
+
+  function getPillHTML() {
+    return `
+      <style>
+        .${PREFIX}-pill {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          max-width: 320px;
+          padding: 8px 8px 8px 14px;
+          background: rgba(13, 18, 36, 0.94);
+          border: 1px solid rgba(33, 150, 243, 0.3);
+          border-radius: 999px;
+          box-shadow: 0 8px 24px rgba(0, 0, 0, 0.45);
+          color: #b8d4f0;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+          font-size: 12px;
+          cursor: grab;
+          user-select: none;
+          touch-action: none;
+          transition: border-color 0.3s, background 0.3s;
+        }
+
+        .${PREFIX}-pill.dragging {
+          cursor: grabbing;
+        }
+
+        .${PREFIX}-pill.warning {
+          border-color: rgba(255, 167, 38, 0.7);
+          background: rgba(40, 26, 8, 0.94);
+          animation: ${PREFIX}-pill-pulse 1.6s ease infinite;
+        }
+
+        @keyframes ${PREFIX}-pill-pulse {
+          0%, 100% { box-shadow: 0 8px 24px rgba(0, 0, 0, 0.45), 0 0 0 0 rgba(255, 167, 38, 0.4); }
+          50%      { box-shadow: 0 8px 24px rgba(0, 0, 0, 0.45), 0 0 0 8px rgba(255, 167, 38, 0); }
+        }
+
+        .${PREFIX}-pill-time {
+          font-size: 15px;
+          font-weight: 700;
+          color: #64B5F6;
+          font-variant-numeric: tabular-nums;
+        }
+
+        .${PREFIX}-pill.warning .${PREFIX}-pill-time {
+          color: #ffb74d;
+        }
+
+        .${PREFIX}-pill-goal {
+          flex: 1;
+          min-width: 0;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .${PREFIX}-pill-end {
+          padding: 5px 11px;
+          background: rgba(255, 255, 255, 0.06);
+          border: 1px solid rgba(255, 255, 255, 0.12);
+          border-radius: 999px;
+          color: #8aa8c8;
+          font-size: 11.5px;
+          font-weight: 600;
+          font-family: inherit;
+          cursor: pointer;
+        }
+
+        .${PREFIX}-pill-end:hover {
+          background: rgba(255, 255, 255, 0.1);
+          color: #e0e6f0;
+        }
+      </style>
+
+      <div class="${PREFIX}-pill" id="${PREFIX}-pill" role="timer" title="Drag to move">
+        <span class="${PREFIX}-pill-time" id="${PREFIX}-pill-time">5:00</span>
+        <span class="${PREFIX}-pill-goal" id="${PREFIX}-pill-goal"></span>
+        <button class="${PREFIX}-pill-end" id="${PREFIX}-pill-end" title="End this allowance now">End</button>
+      </div>
+    `;
+  }
+
+  // ── Stats Reporting ───────────────────────────────────
+  function trackEvent(event, count = 1) {
+    chrome.runtime.sendMessage({ type: 'TRACK_EVENT', event, count, site: currentSite }).catch(() => {});
+  }
+
+  // Count time actually spent browsing: tab visible, no modal in the way.
+  // Guarded routes count for stats, the budget and the goal journal
+  // (socialSeconds). Allowed routes don't use up the budget, so they
+  // report siteSeconds for the journal alone, and only while a goal is
+  // set, since there is no journal entry to add to otherwise.
+  setInterval(() => {
+    if (document.visibilityState !== 'visible' || isModalShowing()) return;
+    if (isGuardedRoute()) {
+      trackEvent('socialSeconds', USAGE_INTERVAL);
+    } else if (currentGoal) {
+      trackEvent('siteSeconds', USAGE_INTERVAL);
+    }
+  }, USAGE_INTERVAL * 1000);
+
   // ── Remove Everything ─────────────────────────────────
   function teardown() {
-    clearTimer();
+    clearTimer(); // Also hides the pill
     hideModal();
     if (hostElement && hostElement.parentNode) {
       hostElement.parentNode.removeChild(hostElement);
@@ -463,9 +938,47 @@
     if (message.type === 'GOAL_UPDATED') {
       currentGoal = message.goal || '';
       // If modal is currently showing, refresh it with new goal
-      if (shadowRoot && shadowRoot.querySelector(`.${PREFIX}-overlay`)) {
+      if (isModalShowing()) {
         showModal();
       }
+      updatePill();
+    }
+
+    if (message.type === 'SESSION_CHANGED') {
+      sessionPhase = message.phase;
+      if (sessionPhase === 'break') {
+        // Breaks are free time: drop the modal and any running allowance
+        teardown();
+      } else if (sessionPhase === 'work') {
+        // Work phase interrupts immediately, even mid-allowance
+        applyAllowance(null);
+      } else {
+        // Session ended: back to normal, with Continue offered again
+        applyAllowance(allowanceExpiresAt);
+      }
+    }
+
+    // Continues on any site raise the wait here too
+    if (message.type === 'ALLOWANCE_CHANGED') {
+      friction = message.friction || friction;
+    }
+
+    // Another tab of this site started an allowance, or it ran out
+    if (message.type === 'ALLOWANCE_CHANGED' && message.site === currentSite) {
+      budget = message.budget || budget;
+      if (isEnabled) {
+        applyAllowance(message.expiresAt);
+      } else {
+        allowanceExpiresAt = message.expiresAt;
+      }
+    }
+
+    // Route rules edited on the options page
+    if (message.type === 'SITE_CHANGED' && message.site.domain === currentSite) {
+      currentSiteName = message.site.name;
+      siteMode = message.site.mode;
+      routes = message.site.routes || [];
+      checkRoute();
     }
 
     if (message.type === 'TOGGLE_CHANGED') {
@@ -473,22 +986,45 @@
       if (!isEnabled) {
         teardown();
       } else {
-        // Re-show modal when re-enabled
-        showModal();
+        // Re-show modal when re-enabled, unless an allowance is running
+        applyAllowance(allowanceExpiresAt);
       }
     }
   });
 
+  // ── Route Changes ─────────────────────────────────────
+  // In-page navigation can move between routes with different rules,
+  // e.g. from an allowed /messages to the interrupted home feed
+  function checkRoute() {
+    if (!isEnabled || sessionPhase === 'break') return;
+    applyAllowance(allowanceExpiresAt);
+  }
+
+  FFNavigation.onChange(checkRoute);
+
   // ── Initialize ────────────────────────────────────────
   chrome.runtime.sendMessage({ type: 'GET_STATE' }, (response) => {
     if (chrome.runtime.lastError) return;
     if (response) {
       currentGoal = response.focusGoal || '';
       isEnabled   = response.isEnabled !== false;
+      sessionPhase = response.sessionPhase || null;
+      currentSite = response.site || '';
+      currentSiteName = response.siteName || '';
+      siteMode = response.siteMode || 'interrupt';
+      routes = response.routes || [];
+      budget = response.budget || null;
+      friction = response.friction || friction;
+      pillPosition = response.pillPosition || null;
 
       if (isEnabled) {
-        // Small delay to let page render first, then show modal
-        setTimeout(showModal, 800);
+        if (response.allowanceExpiresAt) {
+          // Reload or new tab during an allowance: keep the shared countdown
+          applyAllowance(response.allowanceExpiresAt);
+        } else {
+          // Small delay to let page render first, then show modal
+          setTimeout(showModal, 800);
+        }
       }
     }
   });
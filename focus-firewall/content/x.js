@@ -0,0 +1,20 @@
+/**
+ * Focus Firewall — X (Twitter) Adapter
+ * Feed-filter adapter for tweets in timelines, search and threads.
+ * Filtering itself lives in content/feed-filter.js.
+ */
+
+(function () {
+  'use strict';
+
+  FFFeedFilter.start({
+    itemSelector: 'article[data-testid="tweet"]',
+
+    // Media-only tweets have no text and are left alone
+    getText(tweet) {
+      return [...tweet.querySelectorAll('[data-testid="tweetText"]')]
+        .map(el => el.textContent)
+        .join(' ');
+    }
+  });
+})();
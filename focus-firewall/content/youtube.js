@@ -1,276 +1,399 @@
 /**
- * Focus Firewall — YouTube Content Script
- * Filters irrelevant video recommendations by comparing titles
- * against the user's current focus goal using keyword matching.
+ * Focus Firewall — YouTube Adapter
+ * Feed-filter adapter for YouTube video recommendations: the home
+ * feed, search results, sidebar, channel grids and the Shorts shelf.
+ * Filtering itself lives in content/feed-filter.js.
  *
- * Features:
- * - Blurs thumbnails of irrelevant videos
- * - Adds overlay badge "Irrelevant to current goal"
- * - Uses MutationObserver for infinite scroll support
- * - Debounced scanning for performance
- * - Listens for real-time goal/toggle updates from background
+ * Also guards the /watch page: an off-goal video opened from a link or
+ * from history is paused behind an interstitial with "Watch anyway"
+ * (which needs a reason) and "Go back". Overrides are remembered per
+ * video ID by the background worker until the browser closes.
+ *
+ * Channel names (and search-result description snippets) are read for
+ * every renderer so the goal's channel allow/block lists can apply.
+ * The same readers answer the background's context-menu actions on
+ * video links.
  */
 
 (function () {
   'use strict';
 
-  // ── State ─────────────────────────────────────────────
-  let currentGoal = '';
-  let isEnabled   = true;
-  let scanTimer   = null;
-
-  // CSS class prefix to avoid collisions
-  const PREFIX = 'ff-yt';
-
-  // ── Inject Styles ─────────────────────────────────────
-  const styleSheet = document.createElement('style');
-  styleSheet.textContent = `
-    .${PREFIX}-blurred ytd-thumbnail,
-    .${PREFIX}-blurred .ytd-thumbnail,
-    .${PREFIX}-blurred #thumbnail {
-      filter: blur(12px) saturate(0.3) !important;
-      transition: filter 0.4s ease !important;
-    }
+  // Selectors cover the main feed, search results, sidebar, and shorts
+  const VIDEO_SELECTORS = [
+    'ytd-rich-item-renderer',          // Home feed grid items
+    'ytd-video-renderer',              // Search results
+    'ytd-compact-video-renderer',      // Sidebar / related
+    'ytd-grid-video-renderer',         // Channel page grids
+    'ytd-reel-item-renderer'           // Shorts shelf
+  ].join(', ');
 
-    .${PREFIX}-blurred {
-      opacity: 0.55 !important;
-      position: relative !important;
+  // Channel name, by renderer: search results and the sidebar use
+  // ytd-channel-name; the newer home-feed lockups link to "/@handle".
+  // Channel-page grids and Shorts tiles don't show one (see pageChannel).
+  const CHANNEL_SELECTORS = [
+    'ytd-channel-name #text',
+    '#channel-name a',
+    'yt-content-metadata-view-model a[href^="/@"]'
+  ];
+
+  // Description snippet: search results only
+  const DESCRIPTION_SELECTORS = [
+    '.metadata-snippet-text',
+    '#description-text'
+  ];
+
+  function firstText(element, selectors) {
+    for (const selector of selectors) {
+      const el = element.querySelector(selector);
+      const text = el ? el.textContent.trim() : '';
+      if (text) return text;
     }
+    return '';
+  }
 
-    .${PREFIX}-overlay {
-      position: absolute;
-      top: 0;
-      left: 0;
-      right: 0;
-      bottom: 0;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      z-index: 100;
-      pointer-events: none;
-    }
+  // On a channel page every grid video belongs to the page's channel
+  function pageChannel() {
+    if (!/^\/(@|channel\/|c\/|user\/)/.test(location.pathname)) return '';
+    return firstText(document, [
+      'yt-page-header-renderer h1',
+      'ytd-c4-tabbed-header-renderer #channel-name #text'
+    ]);
+  }
 
-    .${PREFIX}-badge {
-      background: linear-gradient(135deg, rgba(13, 71, 161, 0.92), rgba(21, 101, 192, 0.92));
-      color: #fff;
-      font-size: 11px;
-      font-weight: 600;
-      padding: 6px 14px;
-      border-radius: 8px;
-      letter-spacing: 0.3px;
-      box-shadow: 0 4px 15px rgba(0, 0, 0, 0.5);
-      border: 1px solid rgba(100, 181, 246, 0.3);
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      backdrop-filter: blur(4px);
-      pointer-events: none;
-    }
+  const filter = FFFeedFilter.start({
+    itemSelector: VIDEO_SELECTORS,
+    mediaSelector: '#thumbnail, ytd-thumbnail, .ytd-thumbnail',
+    blurEvent: 'videoBlurred',
+    revealEvent: 'videoRevealed',
 
-    /* Undo all filtering when extension is off */
-    .${PREFIX}-cleared .${PREFIX}-blurred {
-      opacity: 1 !important;
-    }
-    .${PREFIX}-cleared .${PREFIX}-blurred ytd-thumbnail,
-    .${PREFIX}-cleared .${PREFIX}-blurred .ytd-thumbnail,
-    .${PREFIX}-cleared .${PREFIX}-blurred #thumbnail {
-      filter: none !important;
-    }
-    .${PREFIX}-cleared .${PREFIX}-overlay {
-      display: none !important;
-    }
-  `;
-  document.head.appendChild(styleSheet);
-
-  // ── Keyword Extraction ────────────────────────────────
-  // Extract meaningful keywords from the user's goal
-  // Filters out common stop words and short words
-  const STOP_WORDS = new Set([
-    'the','a','an','and','or','but','in','on','at','to','for',
-    'of','with','by','from','is','it','as','be','was','are',
-    'this','that','i','my','me','we','our','you','your','am',
-    'do','does','did','will','would','could','should','can',
-    'not','no','so','if','its','than','then','just','about',
-    'into','over','after','up','down','out','off','how','what',
-    'when','where','why','which','who','all','each','some'
-  ]);
-
-  function extractKeywords(text) {
-    if (!text) return [];
-    return text
-      .toLowerCase()
-      .replace(/[^a-z0-9\s]/g, ' ')  // Remove special chars
-      .split(/\s+/)
-      .filter(w => w.length > 2 && !STOP_WORDS.has(w));
-  }
+    getText: videoTitle,
 
-  // ── Relevance Check ───────────────────────────────────
-  // Returns true if the video title is relevant to the current goal
-  function isRelevant(videoTitle) {
-    if (!currentGoal) return true; // No goal set — everything is relevant
+    getDetails(video) {
+      return firstText(video, DESCRIPTION_SELECTORS);
+    },
 
-    const keywords = extractKeywords(currentGoal);
-    if (keywords.length === 0) return true;
+    getChannel: videoChannel
+  });
 
-    const titleLower = videoTitle.toLowerCase();
+  // Extract the video title from the known title elements
+  function videoTitle(video) {
+    const titleEl =
+      video.querySelector('#video-title') ||
+      video.querySelector('#video-title-link') ||
+      video.querySelector('h3 a') ||
+      video.querySelector('.title');
+    return titleEl ? titleEl.textContent || titleEl.getAttribute('title') : '';
+  }
 
-    // Check if at least one goal keyword appears in the title
-    return keywords.some(keyword => titleLower.includes(keyword));
+  function videoChannel(video) {
+    return firstText(video, CHANNEL_SELECTORS) || pageChannel();
   }
 
-  // ── Apply / Remove Filtering ──────────────────────────
+  // ── Context Menu ──────────────────────────────────────
+  // "Always allow this channel" and "Mark as on-topic" act on the video
+  // that was right-clicked; the background only knows the link URL,
+  // so it asks here for the title and channel.
+  let contextTarget = null;
+
+  document.addEventListener('contextmenu', (e) => {
+    contextTarget = e.target;
+  }, true);
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type !== 'DESCRIBE_VIDEO') return;
+    const video = contextTarget && contextTarget.closest(VIDEO_SELECTORS);
+    sendResponse(video
+      ? { title: videoTitle(video).trim(), channel: videoChannel(video) }
+      : null);
+  });
 
-  function markIrrelevant(videoElement) {
-    if (videoElement.classList.contains(`${PREFIX}-blurred`)) return;
+  // ── Watch Page Guard ──────────────────────────────────
 
-    videoElement.classList.add(`${PREFIX}-blurred`);
+  const PREFIX = 'ff-yt-watch';
 
-    // Create overlay with badge
-    const overlay = document.createElement('div');
-    overlay.className = `${PREFIX}-overlay`;
+  const WATCH_CHANNEL_SELECTORS = [
+    'ytd-watch-metadata ytd-channel-name #text',
+    '#owner #channel-name a'
+  ];
 
-    const badge = document.createElement('div');
-    badge.className = `${PREFIX}-badge`;
-    badge.textContent = '🛡 Irrelevant to current goal';
-    overlay.appendChild(badge);
+  let checkedKey = '';         // "<videoId>\n<goal>" last evaluated
+  let blockedVideoId = null;   // Video currently behind the interstitial
+  const allowedVideos = new Set(); // Local cache of session overrides
+  let shadowRoot = null;
+  let hostElement = null;
 
-    // Insert overlay relative to the thumbnail container
-    const thumbContainer = videoElement.querySelector('#thumbnail, ytd-thumbnail, .ytd-thumbnail');
-    if (thumbContainer && thumbContainer.parentElement) {
-      thumbContainer.parentElement.style.position = 'relative';
-      thumbContainer.parentElement.appendChild(overlay);
-    } else {
-      videoElement.style.position = 'relative';
-      videoElement.appendChild(overlay);
-    }
+  filter.onScan(checkWatchPage);
+
+  function currentVideoId() {
+    if (location.pathname !== '/watch') return null;
+    return new URLSearchParams(location.search).get('v');
   }
 
-  function markRelevant(videoElement) {
-    videoElement.classList.remove(`${PREFIX}-blurred`);
-    // Remove any overlay we added
-    const overlays = videoElement.querySelectorAll(`.${PREFIX}-overlay`);
-    overlays.forEach(o => o.remove());
-
-    // Also check parent of thumbnail
-    const thumbParents = videoElement.querySelectorAll(`[style*="position: relative"]`);
-    thumbParents.forEach(p => {
-      const ol = p.querySelector(`.${PREFIX}-overlay`);
-      if (ol) ol.remove();
-    });
+  // The player's title link is the first thing YouTube updates on
+  // in-page navigation, and its href tells us which video it belongs to.
+  // The heading can still show the previous video for a moment.
+  function readVideoTitle(videoId) {
+    const playerTitle = document.querySelector('a.ytp-title-link');
+    if (playerTitle && playerTitle.href.includes(videoId)) {
+      return playerTitle.textContent.trim();
+    }
+    const flexy = document.querySelector('ytd-watch-flexy');
+    const heading = document.querySelector('ytd-watch-metadata h1');
+    if (flexy && flexy.getAttribute('video-id') === videoId && heading) {
+      return heading.textContent.trim();
+    }
+    return '';
   }
 
-  // ── Scan All Visible Videos ───────────────────────────
-  // Selectors cover the main feed, search results, sidebar, and shorts
-  const VIDEO_SELECTORS = [
-    'ytd-rich-item-renderer',          // Home feed grid items
-    'ytd-video-renderer',              // Search results
-    'ytd-compact-video-renderer',      // Sidebar / related
-    'ytd-grid-video-renderer',         // Channel page grids
-    'ytd-reel-item-renderer'           // Shorts shelf
-  ].join(', ');
+  function checkWatchPage() {
+    const videoId = currentVideoId();
 
-  function scanVideos() {
-    if (!isEnabled || !currentGoal) {
-      clearAllFilters();
+    if (!videoId || !filter.isActive()) {
+      checkedKey = '';
+      hideInterstitial();
       return;
     }
 
-    const videos = document.querySelectorAll(VIDEO_SELECTORS);
-
-    videos.forEach(video => {
-      // Extract video title from the known title elements
-      const titleEl =
-        video.querySelector('#video-title') ||
-        video.querySelector('#video-title-link') ||
-        video.querySelector('a#video-title') ||
-        video.querySelector('[id="video-title"]') ||
-        video.querySelector('h3 a') ||
-        video.querySelector('.title');
+    const key = `${videoId}\n${filter.getGoal()}`;
+    if (key === checkedKey) return;
 
-      if (!titleEl) return;
+    // Title not rendered yet; the next DOM change triggers another scan
+    const title = readVideoTitle(videoId);
+    if (!title) return;
+    checkedKey = key;
 
-      const title = (titleEl.textContent || titleEl.getAttribute('title') || '').trim();
-      if (!title) return;
+    const channel = firstText(document, WATCH_CHANNEL_SELECTORS);
+    if (filter.evaluate(title, channel).relevant || allowedVideos.has(videoId)) {
+      hideInterstitial();
+      return;
+    }
 
-      if (isRelevant(title)) {
-        markRelevant(video);
+    chrome.runtime.sendMessage({ type: 'GET_VIDEO_OVERRIDE', videoId }, (response) => {
+      if (chrome.runtime.lastError) return;
+      // Navigated away while waiting
+      if (currentVideoId() !== videoId) return;
+      if (response && response.override) {
+        allowedVideos.add(videoId);
+        hideInterstitial();
       } else {
-        markIrrelevant(video);
+        showInterstitial(videoId, title);
       }
     });
   }
 
-  // ── Clear All Filters ─────────────────────────────────
-  function clearAllFilters() {
-    document.querySelectorAll(`.${PREFIX}-blurred`).forEach(el => {
-      markRelevant(el);
-    });
+  // ── Keep the Video Paused ─────────────────────────────
+  // Autoplay (and YouTube's own resume logic) can start playback after
+  // we pause, so any play event is undone while the interstitial is up.
+  function pauseVideo() {
+    document.querySelectorAll('video').forEach(video => video.pause());
   }
 
-  // ── Debounced Scan ────────────────────────────────────
-  // Prevents excessive scanning during rapid DOM changes (infinite scroll)
-  function debouncedScan() {
-    if (scanTimer) clearTimeout(scanTimer);
-    scanTimer = setTimeout(scanVideos, 300);
+  function onPlay(event) {
+    if (blockedVideoId && event.target instanceof HTMLVideoElement) {
+      event.target.pause();
+    }
   }
 
-  // ── MutationObserver ──────────────────────────────────
-  // Watches for new videos being added to the DOM (infinite scroll, navigation)
-  const observer = new MutationObserver((mutations) => {
-    let hasNewContent = false;
-    for (const mutation of mutations) {
-      if (mutation.addedNodes.length > 0) {
-        hasNewContent = true;
-        break;
-      }
-    }
-    if (hasNewContent) {
-      debouncedScan();
+  // ── Interstitial ──────────────────────────────────────
+  function showInterstitial(videoId, title) {
+    if (blockedVideoId === videoId) return;
+    blockedVideoId = videoId;
+
+    pauseVideo();
+    document.addEventListener('play', onPlay, true);
+
+    if (!hostElement) {
+      hostElement = document.createElement('div');
+      hostElement.id = `${PREFIX}-host`;
+      hostElement.style.cssText = `
+        position: fixed !important;
+        inset: 0 !important;
+        z-index: 2147483647 !important;
+      `;
+      shadowRoot = hostElement.attachShadow({ mode: 'closed' });
     }
-  });
+    document.documentElement.appendChild(hostElement);
+    shadowRoot.innerHTML = getInterstitialHTML(filter.getGoal(), title);
+
+    const reasonInput = shadowRoot.getElementById(`${PREFIX}-reason`);
+    const btnWatch = shadowRoot.getElementById(`${PREFIX}-btn-watch`);
+    const btnBack = shadowRoot.getElementById(`${PREFIX}-btn-back`);
 
-  function startObserver() {
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
+    reasonInput.addEventListener('input', () => {
+      btnWatch.disabled = !reasonInput.value.trim();
+    });
+    reasonInput.addEventListener('keydown', (e) => {
+      // Keep YouTube's keyboard shortcuts from firing while typing
+      e.stopPropagation();
+      if (e.key === 'Enter' && !btnWatch.disabled) btnWatch.click();
     });
-  }
 
-  // ── Message Listener ──────────────────────────────────
-  // React to real-time updates from popup via background
-  chrome.runtime.onMessage.addListener((message) => {
-    if (message.type === 'GOAL_UPDATED') {
-      currentGoal = message.goal || '';
-      scanVideos();
-    }
-    if (message.type === 'TOGGLE_CHANGED') {
-      isEnabled = message.isEnabled;
-      if (!isEnabled) {
-        clearAllFilters();
+    btnWatch.addEventListener('click', () => {
+      const reason = reasonInput.value.trim();
+      if (!reason) return;
+      allowedVideos.add(videoId);
+      chrome.runtime.sendMessage({ type: 'ALLOW_VIDEO', videoId, title, reason }).catch(() => {});
+      hideInterstitial();
+    });
+
+    btnBack.addEventListener('click', () => {
+      if (window.history.length > 1) {
+        window.history.back();
       } else {
-        scanVideos();
+        location.assign('/');
       }
-    }
-  });
+    });
 
-  // ── Initialize ────────────────────────────────────────
-  chrome.runtime.sendMessage({ type: 'GET_STATE' }, (response) => {
-    if (chrome.runtime.lastError) return;
-    if (response) {
-      currentGoal = response.focusGoal || '';
-      isEnabled   = response.isEnabled !== false;
-      scanVideos();
-    }
-  });
+    reasonInput.focus();
+  }
 
-  // Start observing for dynamically loaded content
-  startObserver();
+  function hideInterstitial() {
+    if (!blockedVideoId) return;
+    blockedVideoId = null;
+    document.removeEventListener('play', onPlay, true);
+    if (hostElement) hostElement.remove();
+  }
 
-  // Also rescan on navigation within YouTube SPA
-  let lastUrl = location.href;
-  setInterval(() => {
-    if (location.href !== lastUrl) {
-      lastUrl = location.href;
-      debouncedScan();
-    }
-  }, 1000);
+  function getInterstitialHTML(goal, title) {
+    return `
+      <style>
+        .${PREFIX}-overlay {
+          position: fixed;
+          inset: 0;
+          background: rgba(5, 10, 20, 0.88);
+          backdrop-filter: blur(12px);
+          -webkit-backdrop-filter: blur(12px);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+        }
+
+        .${PREFIX}-card {
+          background: linear-gradient(170deg, #0d1224 0%, #111a30 50%, #0a1628 100%);
+          border: 1px solid rgba(33, 150, 243, 0.18);
+          border-radius: 24px;
+          padding: 32px 30px 26px;
+          max-width: 420px;
+          width: 90vw;
+          text-align: center;
+          box-shadow: 0 25px 60px rgba(0, 0, 0, 0.6);
+        }
+
+        .${PREFIX}-title {
+          font-size: 18px;
+          font-weight: 700;
+          color: #e0e6f0;
+          margin: 0 0 8px;
+        }
+
+        .${PREFIX}-video {
+          font-size: 13px;
+          color: #8aa8c8;
+          margin: 0 0 18px;
+          line-height: 1.4;
+        }
+
+        .${PREFIX}-goal-card {
+          background: rgba(33, 150, 243, 0.06);
+          border: 1px solid rgba(33, 150, 243, 0.15);
+          border-radius: 14px;
+          padding: 12px 16px;
+          margin-bottom: 18px;
+        }
+
+        .${PREFIX}-goal-label {
+          font-size: 9px;
+          font-weight: 700;
+          color: #4a90d9;
+          letter-spacing: 2px;
+          margin-bottom: 4px;
+        }
+
+        .${PREFIX}-goal-text {
+          font-size: 15px;
+          font-weight: 600;
+          color: #e3f0ff;
+        }
+
+        .${PREFIX}-reason {
+          width: 100%;
+          box-sizing: border-box;
+          padding: 11px 14px;
+          margin-bottom: 14px;
+          background: rgba(255, 255, 255, 0.04);
+          border: 1.5px solid rgba(33, 150, 243, 0.15);
+          border-radius: 12px;
+          color: #e0e6f0;
+          font-size: 13px;
+          font-family: inherit;
+          outline: none;
+        }
+
+        .${PREFIX}-reason:focus {
+          border-color: rgba(33, 150, 243, 0.5);
+        }
+
+        .${PREFIX}-buttons {
+          display: flex;
+          gap: 10px;
+        }
+
+        .${PREFIX}-btn {
+          flex: 1;
+          padding: 11px 16px;
+          border-radius: 12px;
+          font-size: 13px;
+          font-weight: 600;
+          font-family: inherit;
+          cursor: pointer;
+          border: 1px solid rgba(33, 150, 243, 0.25);
+        }
+
+        .${PREFIX}-btn-back {
+          background: linear-gradient(135deg, #1565C0 0%, #2196F3 100%);
+          color: #fff;
+          border: none;
+        }
+
+        .${PREFIX}-btn-watch {
+          background: rgba(255, 255, 255, 0.04);
+          color: #8aa8c8;
+        }
+
+        .${PREFIX}-btn-watch:disabled {
+          opacity: 0.4;
+          cursor: not-allowed;
+        }
+      </style>
+
+      <div class="${PREFIX}-overlay">
+        <div class="${PREFIX}-card">
+          <h2 class="${PREFIX}-title">🛡 This video looks off-goal</h2>
+          <p class="${PREFIX}-video">${escapeHTML(title)}</p>
+
+          <div class="${PREFIX}-goal-card">
+            <div class="${PREFIX}-goal-label">YOUR FOCUS GOAL</div>
+            <div class="${PREFIX}-goal-text">${escapeHTML(goal)}</div>
+          </div>
+
+          <input class="${PREFIX}-reason" id="${PREFIX}-reason" type="text"
+                 maxlength="120" placeholder="Why watch it anyway?" autocomplete="off" />
+
+          <div class="${PREFIX}-buttons">
+            <button class="${PREFIX}-btn ${PREFIX}-btn-back" id="${PREFIX}-btn-back">Go back</button>
+            <button class="${PREFIX}-btn ${PREFIX}-btn-watch" id="${PREFIX}-btn-watch" disabled>
+              Watch anyway
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
 
+  function escapeHTML(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
 })();
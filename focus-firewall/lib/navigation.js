@@ -0,0 +1,74 @@
+/**
+ * Focus Firewall — Navigation & Route Rules
+ * Shared by the content scripts of every guarded site. Instagram,
+ * Facebook, YouTube and friends are single-page apps: moving from the
+ * feed to messages swaps the page in place without a load.
+ *
+ * - onChange() calls back after each in-page navigation. It listens to
+ *   the Navigation API, which reports the page's own pushState and
+ *   replaceState calls (invisible to a content script's isolated world
+ *   otherwise) as well as back/forward. No polling.
+ * - routeAction() applies a site's route rules to the current path.
+ *
+ * Exposed as `FFNavigation` on the global object.
+ */
+
+(function (root) {
+  'use strict';
+
+  // ── Navigation Events ─────────────────────────────────
+  const listeners = [];
+  let lastUrl = location.href;
+
+  // currententrychange also fires for same-URL reloads of the entry;
+  // listeners only hear about actual moves
+  root.navigation.addEventListener('currententrychange', () => {
+    if (location.href === lastUrl) return;
+    lastUrl = location.href;
+    listeners.forEach(listener => listener(location));
+  });
+
+  /**
+   * Call `listener` after every in-page navigation.
+   * @param {function(Location)} listener
+   */
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  // ── Route Rules ───────────────────────────────────────
+  // A site's routes are [{ path, action }], action being 'allow'
+  // (leave the page alone), 'interrupt' (focus modal) or 'hide'
+  // (hidden-page screen, no Continue). The path "/" is the home feed
+  // only; any other path covers everything below it, so "/messages"
+  // also matches "/messages/t/123" but not "/messages-archive".
+
+  function matchesPath(rulePath, path) {
+    if (rulePath === '/') return path === '/';
+    return path === rulePath || path.startsWith(rulePath + '/');
+  }
+
+  /**
+   * What the rules say about a path. The longest matching rule wins;
+   * paths no rule covers get `fallback` (the site's mode).
+   * @param {Array<{ path: string, action: string }>} routes
+   * @param {string} fallback - 'interrupt' or 'filter'
+   * @param {string} [path] - Defaults to the current page
+   * @returns {string} 'allow', 'interrupt', 'hide' or 'filter'
+   */
+  function routeAction(routes, fallback, path = location.pathname) {
+    path = path.toLowerCase().replace(/(.)\/+$/, '$1'); // "/reels/" → "/reels"
+    let match = null;
+    (routes || []).forEach(rule => {
+      if (matchesPath(rule.path, path) && (!match || rule.path.length > match.path.length)) {
+        match = rule;
+      }
+    });
+    return match ? match.action : fallback;
+  }
+
+  root.FFNavigation = {
+    onChange,
+    routeAction
+  };
+})(globalThis);
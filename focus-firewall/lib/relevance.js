@@ -0,0 +1,285 @@
+/**
+ * Focus Firewall — Relevance Engine
+ * Scores how well a piece of text (e.g. a video title) fits the
+ * user's current focus goal. Runs entirely locally.
+ *
+ * Pipeline:
+ * - Tokenize + light stemming ("graphs", "graphing" → "graph")
+ * - Whole-word matching, so "graph" never matches "photograph"
+ * - Phrase matching for multi-word terms ("graph theory", "shortest path")
+ * - Related-term expansion ("graph" → "dijkstra", "bfs", ...)
+ * - Per-goal "always relevant" include terms and "always distracting"
+ *   exclude terms; excludes are checked before anything else
+ * - Noisy-OR scoring against a tunable threshold
+ *
+ * Exposed as `FFRelevance` on the global object so it can be shared
+ * by content scripts, the popup and the service worker.
+ */
+
+(function (root) {
+  'use strict';
+
+  // ── Tuning ────────────────────────────────────────────
+  const DEFAULT_THRESHOLD = 0.5;
+
+  // How much a single match of each kind contributes to the score
+  const WEIGHTS = {
+    include: 1.0,   // User's "always relevant" term found
+    phrase:  1.0,   // Goal phrase found verbatim ("graph theory")
+    keyword: 0.7,   // Goal keyword found ("graph")
+    related: 0.55,  // Related term found ("dijkstra" for "graph")
+    generic: 0.2    // Generic activity word found ("study", "tutorial")
+  };
+
+  // ── Vocabulary ────────────────────────────────────────
+  const STOP_WORDS = new Set([
+    'the','a','an','and','or','but','in','on','at','to','for',
+    'of','with','by','from','is','it','as','be','was','are',
+    'this','that','i','my','me','we','our','you','your','am',
+    'do','does','did','will','would','could','should','can',
+    'not','no','so','if','its','than','then','just','about',
+    'into','over','after','up','down','out','off','how','what',
+    'when','where','why','which','who','all','each','some'
+  ]);
+
+  // Words that describe *doing* a task rather than its topic.
+  // They still count, but are too weak to make a title relevant alone.
+  const GENERIC_WORDS = new Set([
+    'study','learn','prepare','preparation','build','work','practice',
+    'review','revise','revision','research','read','write','finish',
+    'complete','project','task','exam','test','homework','assignment',
+    'course','lecture','tutorial','guide','intro','introduction',
+    'basic','beginner','explain','part','full','lesson','class'
+  ]);
+
+  // Clusters of terms that imply one another. Multi-word entries are
+  // matched as phrases. Keep entries lowercase and unstemmed.
+  const RELATED_TERMS = [
+    ['graph', 'graph theory', 'dijkstra', 'bfs', 'dfs', 'breadth first search',
+     'depth first search', 'shortest path', 'spanning tree', 'kruskal', 'prim',
+     'vertex', 'vertices', 'topological sort', 'bellman ford', 'floyd warshall',
+     'adjacency list', 'adjacency matrix'],
+    ['algorithm', 'data structure', 'dsa', 'big o', 'time complexity',
+     'recursion', 'dynamic programming', 'leetcode', 'sorting', 'binary search'],
+    ['sql', 'database', 'dbms', 'query', 'join', 'normalization', 'normal form',
+     'postgres', 'postgresql', 'mysql', 'sqlite', 'primary key', 'foreign key',
+     'transaction', 'acid', 'er diagram', 'relational'],
+    ['javascript', 'js', 'typescript', 'node', 'nodejs', 'npm', 'dom',
+     'ecmascript', 'async await', 'promise'],
+    ['chrome extension', 'browser extension', 'manifest v3', 'content script',
+     'service worker', 'webextension', 'chrome api'],
+    ['python', 'django', 'flask', 'pandas', 'numpy', 'pip'],
+    ['machine learning', 'deep learning', 'neural network', 'tensorflow',
+     'pytorch', 'regression', 'classification', 'gradient descent'],
+    ['calculus', 'derivative', 'integral', 'limit', 'differentiation', 'integration'],
+    ['linear algebra', 'matrix', 'vector', 'eigenvalue', 'determinant'],
+    ['probability', 'statistics', 'bayes', 'distribution', 'hypothesis testing'],
+    ['operating system', 'os', 'process', 'thread', 'scheduling', 'deadlock',
+     'paging', 'semaphore', 'mutex'],
+    ['network', 'networking', 'tcp', 'udp', 'http', 'dns', 'osi model', 'routing'],
+    ['react', 'jsx', 'hooks', 'redux', 'nextjs', 'component'],
+    ['css', 'flexbox', 'css grid', 'tailwind', 'stylesheet'],
+    ['git', 'github', 'commit', 'branch', 'merge', 'rebase', 'pull request']
+  ];
+
+  // Light suffix-stripping stemmer rules, checked in order
+  const SUFFIX_RULES = [
+    ['ational', 'ate'],
+    ['ization', 'iz'],
+    ['ations', 'ate'],
+    ['ation', 'ate'],
+    ['ingly', ''],
+    ['edly', ''],
+    ['ies', 'y'],
+    ['ing', ''],
+    ['ness', ''],
+    ['ment', ''],
+    ['ed', ''],
+    ['ly', ''],
+    ['es', ''],
+    ['s', '']
+  ];
+
+  // ── Text Processing ───────────────────────────────────
+
+  function stem(word) {
+    if (word.length <= 3) return word;
+
+    let result = word;
+    for (const [suffix, replacement] of SUFFIX_RULES) {
+      if (!result.endsWith(suffix)) continue;
+      // Never strip the "s" off words like "class" or "process"
+      if (suffix === 's' && result.endsWith('ss')) break;
+      // Only "classes", "boxes", "matches" etc. lose the "es";
+      // "nodes" and "trees" fall through to the plain "s" rule
+      if (suffix === 'es' && !/(s|x|z|ch|sh)es$/.test(result)) continue;
+      const candidate = result.slice(0, -suffix.length) + replacement;
+      if (candidate.length >= 3) result = candidate;
+      break;
+    }
+
+    // Fold "normalize" / "normalized" / "normalizing" to one stem
+    if (result.length > 4 && result.endsWith('e')) {
+      result = result.slice(0, -1);
+    }
+    return result;
+  }
+
+  // Lowercase, strip accents and possessives, split into words
+  function tokenize(text) {
+    if (!text) return [];
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/['’]s\b/g, '')        // "Dijkstra's" → "dijkstra"
+      .replace(/[^a-z0-9\s]/g, ' ')   // Remove special chars
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  // Meaningful goal words: no stop words, nothing too short
+  function extractKeywords(text) {
+    return tokenize(text).filter(w => w.length > 2 && !STOP_WORDS.has(w));
+  }
+
+  // Term → list of stems, used for both single words and phrases
+  function stemPhrase(term) {
+    return tokenize(term).map(stem);
+  }
+
+  // True if `needle` (array of stems) appears contiguously in `haystack`
+  function containsSequence(haystack, needle) {
+    if (needle.length === 0 || needle.length > haystack.length) return false;
+    outer:
+    for (let i = 0; i <= haystack.length - needle.length; i++) {
+      for (let j = 0; j < needle.length; j++) {
+        if (haystack[i + j] !== needle[j]) continue outer;
+      }
+      return true;
+    }
+    return false;
+  }
+
+  // ── Matcher ───────────────────────────────────────────
+
+  // Pre-stemmed related clusters, built once
+  const RELATED_CLUSTERS = RELATED_TERMS.map(group =>
+    group.map(term => ({ term, stems: stemPhrase(term) }))
+  );
+
+  /**
+   * Build a matcher for a goal. Building is the expensive part, so
+   * callers should create one per goal and reuse it for every title.
+   *
+   * @param {string} goal - Free-text focus goal
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Minimum score to count as relevant
+   * @param {string[]} [options.include] - Terms that always make text relevant
+   * @param {string[]} [options.exclude] - Terms that always make text irrelevant
+   * @returns {{ isEmpty: boolean, evaluate: function(string): RelevanceResult }}
+   */
+  function createMatcher(goal, options = {}) {
+    const threshold = typeof options.threshold === 'number'
+      ? options.threshold
+      : DEFAULT_THRESHOLD;
+
+    const keywords = extractKeywords(goal);
+    const terms = [];   // { label, stems, weight }
+    const seen = new Set();
+
+    const excludes = (options.exclude || [])
+      .map(term => ({ label: term, stems: stemPhrase(term) }))
+      .filter(term => term.stems.length > 0);
+
+    function addTerm(label, stems, weight) {
+      const key = stems.join(' ');
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      terms.push({ label, stems, weight });
+    }
+
+    // User include terms go first so they win over weaker duplicates
+    (options.include || []).forEach(term => {
+      addTerm(term, stemPhrase(term), WEIGHTS.include);
+    });
+
+    const isGeneric = word => GENERIC_WORDS.has(word) || GENERIC_WORDS.has(stem(word));
+
+    // Adjacent topic keywords form phrases ("graph theory")
+    for (let i = 0; i < keywords.length - 1; i++) {
+      if (isGeneric(keywords[i]) || isGeneric(keywords[i + 1])) continue;
+      addTerm(`${keywords[i]} ${keywords[i + 1]}`,
+        [stem(keywords[i]), stem(keywords[i + 1])], WEIGHTS.phrase);
+    }
+
+    // Individual keywords
+    const keywordStems = [];
+    keywords.forEach(word => {
+      const s = stem(word);
+      if (isGeneric(word)) {
+        addTerm(word, [s], WEIGHTS.generic);
+        return;
+      }
+      keywordStems.push(s);
+      addTerm(word, [s], WEIGHTS.keyword);
+    });
+
+    // Related-term expansion: any cluster that mentions a goal keyword
+    // or goal phrase contributes the rest of its members
+    RELATED_CLUSTERS.forEach(cluster => {
+      const triggered = cluster.some(entry => containsSequence(keywordStems, entry.stems));
+      if (!triggered) return;
+      cluster.forEach(entry => addTerm(entry.term, entry.stems, WEIGHTS.related));
+    });
+
+    /**
+     * @typedef {Object} RelevanceResult
+     * @property {number}   score    - 0..1 combined match strength
+     * @property {boolean}  relevant - score >= threshold (or no goal)
+     * @property {string[]} matched  - Goal/related terms found in the text
+     * @property {string[]} excluded - Exclude terms found (forces irrelevant)
+     */
+    function evaluate(text) {
+      const tokens = tokenize(text).map(stem);
+
+      // Excludes are applied before any keyword matching
+      const excluded = excludes
+        .filter(term => containsSequence(tokens, term.stems))
+        .map(term => term.label);
+      if (excluded.length > 0) {
+        return { score: 0, relevant: false, matched: [], excluded };
+      }
+
+      if (terms.length === 0) {
+        return { score: 1, relevant: true, matched: [], excluded };
+      }
+
+      const matched = [];
+      let miss = 1;
+
+      terms.forEach(term => {
+        if (!containsSequence(tokens, term.stems)) return;
+        matched.push(term.label);
+        miss *= (1 - term.weight);
+      });
+
+      const score = Math.round((1 - miss) * 100) / 100;
+      return { score, relevant: score >= threshold, matched, excluded };
+    }
+
+    return {
+      isEmpty: terms.length === 0 && excludes.length === 0,
+      threshold,
+      evaluate
+    };
+  }
+
+  root.FFRelevance = {
+    DEFAULT_THRESHOLD,
+    createMatcher,
+    extractKeywords,
+    tokenize,
+    stem
+  };
+})(globalThis);
@@ -0,0 +1,227 @@
+/**
+ * Focus Firewall — Settings Schema
+ * Defaults, validation and migrations for everything the extension
+ * keeps in chrome.storage.local.
+ *
+ * Stored data carries a `schemaVersion`. On extension updates the
+ * background worker passes the stored data through `upgrade()`, which:
+ * - runs every migration newer than the stored version, in order
+ * - fills in fields added since, without touching existing values
+ * - resets values of the wrong type to their default
+ *
+ * Data written before versioning existed (v1.0.0) counts as version 0.
+ * To change the shape of stored data, bump SCHEMA_VERSION and add a
+ * migration for the new version; new fields only need a default.
+ * A migration retires a key by deleting it from the data; `upgrade()`
+ * leaves it out of its result and the background worker removes every
+ * stored key that is missing from the result.
+ *
+ * SETTINGS_KEYS are the user's preferences, as opposed to runtime state
+ * and statistics. They are what export/import and sync carry.
+ *
+ * Exposed as `FFSettings` on the global object.
+ */
+
+(function (root) {
+  'use strict';
+
+  const SCHEMA_VERSION = 2;
+
+  // ── Defaults ──────────────────────────────────────────
+  // Route rules for the built-in sites (see lib/navigation.js): messages
+  // and Marketplace stay usable, YouTube Shorts are hidden outright.
+  const DEFAULT_ROUTES = {
+    'youtube.com':   [{ path: '/shorts', action: 'hide' }],
+    'instagram.com': [{ path: '/direct', action: 'allow' }],
+    'facebook.com':  [{ path: '/messages', action: 'allow' }, { path: '/marketplace', action: 'allow' }]
+  };
+
+  const DEFAULTS = {
+    focusGoal: '',
+    isEnabled: true,
+    snoozeUntil: null,  // When a snooze turns protection back on, see snooze()
+    goalHistory: [],    // Goals used before, newest first, see rememberGoal()
+    goalSession: null,  // Stretch of work on the current goal, see closeGoalSession()
+    journal: [],        // Finished goal sessions, oldest first
+    goalTerms: {},   // Per-goal include/exclude and channel lists, keyed by goalKey()
+    profiles: [],    // Saved goal profiles with optional weekly schedules
+    activeProfileId: null,
+    scheduledProfileId: null, // Last profile switched on by the schedule
+    focusSession: null,       // Running Pomodoro session, see startSession()
+    commitLock: null,         // Protection locked on until a set time, see startLock()
+    stats: {},                // Daily protection counters, see recordEvent()
+    socialTimers: {},   // Shared per-site social allowances, see startAllowance()
+    socialBudgets: {},  // Daily minutes per site, e.g. { 'instagram.com': 15 }
+    budgetSettings: { reset: 'midnight', cooldownMinutes: 60 },
+    budgetUsage: null,  // { day, seconds: { [site]: n } }
+    socialBlocks: {},   // Sites over budget: { [site]: blockedUntil }
+    frictionSettings: { waitSeconds: 5, stepSeconds: 5, typing: 'none' }, // What Continue asks for
+    continueLog: [],    // Every Continue, with typed reasons, see startAllowance()
+    pillPosition: null, // Where the allowance countdown pill was dragged: { x, y } in 0–1
+    sites: [            // Guarded sites, see syncContentScripts()
+      { domain: 'youtube.com',   name: 'YouTube',   mode: 'filter',    routes: DEFAULT_ROUTES['youtube.com'] },
+      { domain: 'instagram.com', name: 'Instagram', mode: 'interrupt', routes: DEFAULT_ROUTES['instagram.com'] },
+      { domain: 'facebook.com',  name: 'Facebook',  mode: 'interrupt', routes: DEFAULT_ROUTES['facebook.com'] }
+    ],
+    revealLog: [],      // "Show anyway" clicks, see logReveal()
+    syncSettings: false, // Mirror SETTINGS_KEYS through chrome.storage.sync
+    syncStatus: null     // { lastSyncedAt, remoteUpdatedAt, error }, see pushSettings()
+  };
+
+  // Preferences worth carrying to another machine. No goal/toggle state,
+  // sessions, timers or stats.
+  const SETTINGS_KEYS = [
+    'goalTerms', 'profiles', 'socialBudgets', 'budgetSettings', 'frictionSettings', 'sites'
+  ];
+
+  // Marks a JSON file as ours
+  const EXPORT_FORMAT = 'focus-firewall-settings';
+
+  // ── Validation ────────────────────────────────────────
+  const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const nullable = check => v => v === null || check(v);
+
+  const VALIDATORS = {
+    focusGoal: v => typeof v === 'string',
+    isEnabled: v => typeof v === 'boolean',
+    snoozeUntil: nullable(v => typeof v === 'number'),
+    goalHistory: Array.isArray,
+    goalSession: nullable(isObject),
+    journal: Array.isArray,
+    goalTerms: isObject,
+    profiles: Array.isArray,
+    activeProfileId: nullable(v => typeof v === 'string'),
+    scheduledProfileId: nullable(v => typeof v === 'string'),
+    focusSession: nullable(isObject),
+    commitLock: nullable(isObject),
+    stats: isObject,
+    socialTimers: isObject,
+    socialBudgets: isObject,
+    budgetSettings: isObject,
+    budgetUsage: nullable(isObject),
+    socialBlocks: isObject,
+    frictionSettings: isObject,
+    continueLog: Array.isArray,
+    pillPosition: nullable(isObject),
+    sites: Array.isArray,
+    revealLog: Array.isArray,
+    syncSettings: v => typeof v === 'boolean',
+    syncStatus: nullable(isObject)
+  };
+
+  // ── Migrations ────────────────────────────────────────
+  // Each step receives the stored data and edits it in place.
+  const MIGRATIONS = [
+    {
+      version: 1,
+      // v1.0.0 kept per-tab social timers in a shape nothing reads any
+      // more; allowances are now per site and short-lived, so drop them.
+      migrate(data) {
+        data.socialTimers = {};
+      }
+    },
+    {
+      version: 2,
+      // Sites gained route rules; give the built-in sites theirs
+      migrate(data) {
+        if (!Array.isArray(data.sites)) return;
+        data.sites.forEach(site => {
+          if (site && !site.routes && DEFAULT_ROUTES[site.domain]) {
+            site.routes = structuredClone(DEFAULT_ROUTES[site.domain]);
+          }
+        });
+      }
+    }
+  ];
+
+  // Fresh copy of the defaults, safe to mutate
+  function defaults() {
+    return { ...structuredClone(DEFAULTS), schemaVersion: SCHEMA_VERSION };
+  }
+
+  function runMigrations(data, fromVersion) {
+    MIGRATIONS
+      .filter(step => step.version > fromVersion)
+      .forEach(step => step.migrate(data));
+  }
+
+  /**
+   * Bring stored data up to the current schema.
+   * @param {Object} stored - Everything read from chrome.storage.local
+   * @returns {Object} Data to write back; includes every schema field.
+   *   Keys a migration deleted are left out; the caller removes them
+   *   from storage.
+   */
+  function upgrade(stored) {
+    const data = { ...stored };
+    runMigrations(data, Number(data.schemaVersion) || 0);
+
+    const fallback = defaults();
+    Object.keys(DEFAULTS).forEach(key => {
+      if (!(key in data) || !VALIDATORS[key](data[key])) {
+        data[key] = fallback[key];
+      }
+    });
+
+    data.schemaVersion = SCHEMA_VERSION;
+    return data;
+  }
+
+  // Just the SETTINGS_KEYS of some stored data
+  function pickSettings(data) {
+    const settings = {};
+    SETTINGS_KEYS.forEach(key => {
+      if (key in data) settings[key] = data[key];
+    });
+    return settings;
+  }
+
+  // Wrap settings for a JSON export file
+  function toExport(data) {
+    return {
+      format: EXPORT_FORMAT,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: pickSettings(data)
+    };
+  }
+
+  /**
+   * Check an export file (already JSON-parsed) and bring its settings up
+   * to the current schema. Only the top-level shape is checked here;
+   * callers still sanitize individual profiles, sites, etc.
+   * @returns {{ settings: Object } | { error: string }}
+   */
+  function parseExport(file) {
+    if (!isObject(file) || file.format !== EXPORT_FORMAT || !isObject(file.settings)) {
+      return { error: "This isn't a Focus Firewall settings file." };
+    }
+    const version = Number(file.schemaVersion) || 0;
+    if (version > SCHEMA_VERSION) {
+      return { error: 'This file is from a newer version of Focus Firewall. Update the extension first.' };
+    }
+
+    // Migrate the whole file first: a migration may reset runtime
+    // state, which must not come along with the settings
+    const migrated = { ...file.settings };
+    runMigrations(migrated, version);
+    const settings = pickSettings(migrated);
+
+    const invalid = Object.keys(settings).filter(key => !VALIDATORS[key](settings[key]));
+    if (invalid.length > 0) {
+      return { error: `These settings are malformed: ${invalid.join(', ')}` };
+    }
+    return { settings };
+  }
+
+  root.FFSettings = {
+    SCHEMA_VERSION,
+    SETTINGS_KEYS,
+    DEFAULTS,
+    defaults,
+    upgrade,
+    pickSettings,
+    toExport,
+    parseExport
+  };
+})(globalThis);
@@ -0,0 +1,905 @@
+/**
+ * Focus Firewall — Options Page Script
+ * Full-page settings that don't fit in the popup.
+ * All writes go through the background worker, like the popup.
+ */
+
+document.addEventListener('DOMContentLoaded', init);
+
+const DAY_LABELS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+const SITE_MODES = { interrupt: 'Interrupt modal', filter: 'Feed filter' };
+
+// What a route rule does; paths without a rule follow the site's mode
+const ROUTE_ACTIONS = { allow: 'Allow', interrupt: 'Interrupt', hide: 'Hide page' };
+
+// Newest saved Continue reasons listed on the page
+const REASONS_SHOWN = 30;
+
+// Newest goal sessions listed on the page; exports include all of them
+const JOURNAL_SHOWN = 50;
+
+// Reflection answers from the popup
+const ACCOMPLISHED_LABELS = { yes: 'Yes', partly: 'Partly', no: 'No' };
+
+// How feed-filter sites treat off-goal items
+const FILTER_STYLES = {
+  blur: 'Blur',
+  dim: 'Dim',
+  collapse: 'Collapse to one line',
+  hide: 'Hide'
+};
+
+function init() {
+  initProfiles();
+  initSites();
+  initBudgets();
+  initFriction();
+  initJournal();
+  initBackup();
+}
+
+// ── Goal Profiles ───────────────────────────────────────
+
+function initProfiles() {
+  const list         = document.getElementById('profileList');
+  const emptyState   = document.getElementById('profilesEmpty');
+  const editor       = document.getElementById('profileEditor');
+  const nameInput    = document.getElementById('profileName');
+  const goalInput    = document.getElementById('profileGoal');
+  const includeInput = document.getElementById('profileInclude');
+  const excludeInput = document.getElementById('profileExclude');
+  const slotList     = document.getElementById('slotList');
+  const errorText    = document.getElementById('profileError');
+
+  let editingId = null;
+
+  document.getElementById('newProfile').addEventListener('click', () => openEditor(null));
+  document.getElementById('cancelProfile').addEventListener('click', closeEditor);
+  document.getElementById('addSlot').addEventListener('click', () => addSlot());
+
+  editor.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const profile = {
+      id: editingId,
+      name: nameInput.value,
+      goal: goalInput.value,
+      include: parseTerms(includeInput.value),
+      exclude: parseTerms(excludeInput.value),
+      schedule: readSlots()
+    };
+
+    chrome.runtime.sendMessage({ type: 'SAVE_PROFILE', profile }, (response) => {
+      if (!response || !response.success) {
+        errorText.textContent = (response && response.error) || 'Could not save profile.';
+        return;
+      }
+      closeEditor();
+      render();
+      showToast('✓ Profile saved');
+    });
+  });
+
+  // Re-render whenever the active profile changes elsewhere (popup, schedule)
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.profiles || changes.activeProfileId)) render();
+  });
+
+  render();
+
+  function render() {
+    chrome.runtime.sendMessage({ type: 'GET_PROFILES' }, (response) => {
+      if (!response) return;
+      list.innerHTML = '';
+      emptyState.hidden = response.profiles.length > 0;
+      response.profiles.forEach(profile => {
+        list.appendChild(renderProfile(profile, profile.id === response.activeProfileId));
+      });
+    });
+  }
+
+  function renderProfile(profile, isActive) {
+    const item = document.createElement('li');
+    item.className = 'profile-item' + (isActive ? ' active' : '');
+
+    const info = document.createElement('div');
+    info.className = 'profile-info';
+
+    const name = document.createElement('div');
+    name.className = 'profile-name';
+    name.textContent = profile.name;
+    if (isActive) {
+      const badge = document.createElement('span');
+      badge.className = 'profile-active-badge';
+      badge.textContent = 'ACTIVE';
+      name.appendChild(badge);
+    }
+
+    const goal = document.createElement('div');
+    goal.className = 'profile-goal';
+    goal.textContent = profile.goal;
+
+    const schedule = document.createElement('div');
+    schedule.className = 'profile-schedule';
+    schedule.textContent = describeSchedule(profile.schedule);
+
+    info.append(name, goal, schedule);
+
+    const actions = document.createElement('div');
+    actions.className = 'profile-actions';
+    actions.append(
+      makeButton('Activate', 'secondary-btn', () => {
+        chrome.runtime.sendMessage({ type: 'ACTIVATE_PROFILE', id: profile.id }, () => {
+          showToast(`🔒 ${profile.name} activated`);
+        });
+      }),
+      makeButton('Edit', 'secondary-btn', () => openEditor(profile)),
+      makeButton('Delete', 'secondary-btn danger-btn', () => {
+        if (!confirm(`Delete profile "${profile.name}"?`)) return;
+        chrome.runtime.sendMessage({ type: 'DELETE_PROFILE', id: profile.id }, () => {
+          if (editingId === profile.id) closeEditor();
+          render();
+        });
+      })
+    );
+
+    item.append(info, actions);
+    return item;
+  }
+
+  function openEditor(profile) {
+    editingId = profile ? profile.id : null;
+    nameInput.value    = profile ? profile.name : '';
+    goalInput.value    = profile ? profile.goal : '';
+    includeInput.value = profile ? profile.include.join(', ') : '';
+    excludeInput.value = profile ? profile.exclude.join(', ') : '';
+    errorText.textContent = '';
+
+    slotList.innerHTML = '';
+    (profile ? profile.schedule : []).forEach(addSlot);
+
+    editor.hidden = false;
+    nameInput.focus();
+  }
+
+  function closeEditor() {
+    editingId = null;
+    editor.hidden = true;
+  }
+
+  // Default new slots to weekday mornings
+  function addSlot(slot = { days: [1, 2, 3, 4, 5], start: '09:00', end: '12:00' }) {
+    const row = document.getElementById('slotTemplate').content.firstElementChild.cloneNode(true);
+    const picker = row.querySelector('.day-picker');
+
+    DAY_LABELS.forEach((label, day) => {
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'day-toggle' + (slot.days.includes(day) ? ' selected' : '');
+      toggle.textContent = label;
+      toggle.dataset.day = day;
+      toggle.addEventListener('click', () => toggle.classList.toggle('selected'));
+      picker.appendChild(toggle);
+    });
+
+    row.querySelector('.slot-start').value = slot.start;
+    row.querySelector('.slot-end').value = slot.end;
+    row.querySelector('.slot-remove').addEventListener('click', () => row.remove());
+    slotList.appendChild(row);
+  }
+
+  function readSlots() {
+    return [...slotList.querySelectorAll('.slot')].map(row => ({
+      days: [...row.querySelectorAll('.day-toggle.selected')].map(t => Number(t.dataset.day)),
+      start: row.querySelector('.slot-start').value,
+      end: row.querySelector('.slot-end').value
+    }));
+  }
+}
+
+// ── Guarded Sites ───────────────────────────────────────
+
+function initSites() {
+  const list        = document.getElementById('siteList');
+  const form        = document.getElementById('siteForm');
+  const domainInput = document.getElementById('siteDomain');
+  const modeSelect  = document.getElementById('siteMode');
+  const errorText   = document.getElementById('siteError');
+  const syncError   = document.getElementById('siteSyncError');
+  const openRoutes  = new Set(); // Sites whose route rules are expanded, kept across re-renders
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const domain = normalizeDomain(domainInput.value);
+    if (!domain) {
+      errorText.textContent = 'Enter a domain like reddit.com';
+      return;
+    }
+
+    // Must be requested here, while we still have the user gesture
+    chrome.permissions.request({ origins: [`*://*.${domain}/*`] }, (granted) => {
+      if (!granted) {
+        errorText.textContent = `Focus Firewall needs access to ${domain} to guard it.`;
+        return;
+      }
+      saveSite({ domain, mode: modeSelect.value }, () => {
+        domainInput.value = '';
+        showToast(`✓ ${domain} added`);
+      });
+    });
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.sites) render();
+  });
+
+  render();
+
+  function saveSite(site, onSaved) {
+    chrome.runtime.sendMessage({ type: 'SAVE_SITE', site }, (response) => {
+      if (!response || !response.success) {
+        errorText.textContent = (response && response.error) || 'Could not save site.';
+        render();
+        return;
+      }
+      errorText.textContent = '';
+      if (onSaved) onSaved();
+    });
+  }
+
+  function render() {
+    chrome.runtime.sendMessage({ type: 'GET_SITES' }, (response) => {
+      if (!response) return;
+      syncError.hidden = !response.syncError;
+      syncError.textContent = response.syncError
+        ? `⚠ Chrome couldn't set up protection on these sites: ${response.syncError}`
+        : '';
+      list.innerHTML = '';
+      response.sites.forEach(site => {
+        list.appendChild(renderSite(
+          site,
+          response.filterDomains.includes(site.domain),
+          response.needsAccess.includes(site.domain)
+        ));
+      });
+    });
+  }
+
+  // `needsAccess`: imported or synced from another machine, where Chrome
+  // granted access; this one still has to ask.
+  function renderSite(site, canFilter, needsAccess) {
+    const item = document.createElement('li');
+    item.className = 'site-item';
+
+    const info = document.createElement('div');
+    info.className = 'site-info';
+
+    const name = document.createElement('div');
+    name.className = 'site-name';
+    name.textContent = site.name;
+
+    const domain = document.createElement('div');
+    domain.className = 'site-domain';
+    domain.textContent = site.domain;
+
+    info.append(name, domain);
+
+    const mode = makeSelect(SITE_MODES, site.mode);
+    mode.querySelector('option[value="filter"]').disabled = !canFilter;
+    mode.addEventListener('change', () => saveSite({ ...site, mode: mode.value }));
+
+    // Only meaningful in filter mode; changes apply to open tabs live
+    const filterStyle = makeSelect(FILTER_STYLES, site.filterStyle || 'blur');
+    filterStyle.title = 'Filter style';
+    filterStyle.hidden = site.mode !== 'filter';
+    filterStyle.addEventListener('change', () => saveSite({ ...site, filterStyle: filterStyle.value }));
+
+    const remove = makeButton('Remove', 'secondary-btn danger-btn', () => {
+      if (!confirm(`Stop guarding ${site.domain}?`)) return;
+      chrome.runtime.sendMessage({ type: 'REMOVE_SITE', domain: site.domain });
+    });
+
+    if (needsAccess) {
+      domain.textContent += ' · not active until access is granted';
+      const grant = makeButton('Grant access', 'primary-btn', () => {
+        chrome.permissions.request({ origins: [`*://*.${site.domain}/*`] }, (granted) => {
+          // Saving again re-registers content scripts with the new access
+          if (granted) saveSite(site, () => showToast(`✓ ${site.domain} active`));
+        });
+      });
+      item.append(info, grant, remove);
+      return item;
+    }
+
+    item.append(info, filterStyle, mode, remove, renderRoutes(site));
+    return item;
+  }
+
+  // Collapsible list of the site's route rules, plus a form to add one
+  function renderRoutes(site) {
+    const routes = site.routes || [];
+    const saveRoutes = newRoutes => saveSite({ ...site, routes: newRoutes });
+
+    const details = document.createElement('details');
+    details.className = 'site-routes';
+    details.open = openRoutes.has(site.domain);
+    details.addEventListener('toggle', () => {
+      if (details.open) openRoutes.add(site.domain); else openRoutes.delete(site.domain);
+    });
+
+    const summary = document.createElement('summary');
+    summary.textContent = `Route rules (${routes.length})`;
+
+    const list = document.createElement('ul');
+    list.className = 'route-list';
+    routes.forEach((rule, index) => {
+      const row = document.createElement('li');
+      row.className = 'route-item';
+
+      const path = document.createElement('code');
+      path.textContent = rule.path;
+      path.title = rule.path === '/' ? 'Home feed' : `${rule.path} and everything below it`;
+
+      const action = makeSelect(ROUTE_ACTIONS, rule.action);
+      action.addEventListener('change', () => {
+        saveRoutes(routes.map((r, i) => (i === index ? { ...r, action: action.value } : r)));
+      });
+
+      const remove = makeButton('✕', 'icon-btn', () => {
+        saveRoutes(routes.filter((r, i) => i !== index));
+      });
+      remove.title = 'Remove rule';
+
+      row.append(path, action, remove);
+      list.appendChild(row);
+    });
+
+    const form = document.createElement('form');
+    form.className = 'route-form';
+    const pathInput = document.createElement('input');
+    pathInput.type = 'text';
+    pathInput.placeholder = '/messages, or / for the home feed';
+    pathInput.autocomplete = 'off';
+    const actionSelect = makeSelect(ROUTE_ACTIONS, 'allow');
+    const add = document.createElement('button');
+    add.type = 'submit';
+    add.className = 'secondary-btn';
+    add.textContent = '+ Add Rule';
+    form.append(pathInput, actionSelect, add);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      // The background normalizes the path; a rule for a path that
+      // already has one replaces it
+      saveRoutes([...routes, { path: pathInput.value, action: actionSelect.value }]);
+    });
+
+    details.append(summary, list, form);
+    return details;
+  }
+}
+
+// "https://www.reddit.com/r/all" → "reddit.com". The background
+// worker validates again; this is just enough to ask for permission.
+function normalizeDomain(value) {
+  const domain = value.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/^www\./, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : '';
+}
+
+// ── Daily Budgets ───────────────────────────────────────
+
+function initBudgets() {
+  const list          = document.getElementById('budgetList');
+  const resetSelect   = document.getElementById('budgetReset');
+  const cooldownField = document.getElementById('cooldownField');
+  const cooldownInput = document.getElementById('budgetCooldown');
+
+  resetSelect.addEventListener('change', () => {
+    cooldownField.hidden = resetSelect.value !== 'cooldown';
+  });
+
+  document.getElementById('saveBudgets').addEventListener('click', () => {
+    const budgets = {};
+    list.querySelectorAll('input[data-site]').forEach(input => {
+      if (input.value) budgets[input.dataset.site] = Number(input.value);
+    });
+
+    chrome.runtime.sendMessage({
+      type: 'SET_BUDGETS',
+      budgets,
+      settings: { reset: resetSelect.value, cooldownMinutes: Number(cooldownInput.value) }
+    }, (response) => {
+      if (response && response.success) showToast('✓ Budgets saved');
+    });
+  });
+
+  // Budgets apply to interrupt-mode sites, so follow the site list;
+  // imports and sync can change the budgets themselves
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.sites || changes.socialBudgets || changes.budgetSettings)) render();
+  });
+
+  render();
+
+  function render() {
+    chrome.runtime.sendMessage({ type: 'GET_SITES' }, (sitesResponse) => {
+      if (!sitesResponse) return;
+      const sites = sitesResponse.sites
+        .filter(site => site.mode === 'interrupt')
+        .map(site => site.domain);
+      chrome.runtime.sendMessage({ type: 'GET_BUDGETS' }, (response) => {
+        if (response) renderBudgets(sites, response);
+      });
+    });
+  }
+
+  function renderBudgets(sites, response) {
+    list.innerHTML = '';
+    sites.forEach(site => {
+      const row = document.createElement('div');
+      row.className = 'budget-row';
+
+      const name = document.createElement('span');
+      name.className = 'budget-site';
+      name.textContent = site;
+
+      const used = document.createElement('span');
+      used.className = 'budget-used';
+      used.textContent = `${Math.floor((response.usage[site] || 0) / 60)} min used today`;
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '1';
+      input.max = '1440';
+      input.placeholder = 'No limit';
+      input.dataset.site = site;
+      input.value = response.budgets[site] || '';
+
+      const unit = document.createElement('span');
+      unit.className = 'budget-unit';
+      unit.textContent = 'min / day';
+
+      row.append(name, used, input, unit);
+      list.appendChild(row);
+    });
+
+    resetSelect.value = response.settings.reset;
+    cooldownInput.value = response.settings.cooldownMinutes;
+    cooldownField.hidden = response.settings.reset !== 'cooldown';
+  }
+}
+
+// ── Continue Friction ───────────────────────────────────
+
+function initFriction() {
+  const waitInput    = document.getElementById('frictionWait');
+  const stepInput    = document.getElementById('frictionStep');
+  const typingSelect = document.getElementById('frictionTyping');
+  const reasonList   = document.getElementById('reasonList');
+  const emptyState   = document.getElementById('reasonsEmpty');
+
+  document.getElementById('saveFriction').addEventListener('click', () => {
+    chrome.runtime.sendMessage({
+      type: 'SET_FRICTION',
+      settings: {
+        waitSeconds: Number(waitInput.value),
+        stepSeconds: Number(stepInput.value),
+        typing: typingSelect.value
+      }
+    }, (response) => {
+      if (response && response.success) showToast('✓ Friction saved');
+    });
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.frictionSettings || changes.continueLog)) render();
+  });
+
+  render();
+
+  function render() {
+    chrome.runtime.sendMessage({ type: 'GET_FRICTION' }, (response) => {
+      if (!response) return;
+      waitInput.value = response.settings.waitSeconds;
+      stepInput.value = response.settings.stepSeconds;
+      typingSelect.value = response.settings.typing;
+
+      reasonList.innerHTML = '';
+      response.reasons.slice(0, REASONS_SHOWN).forEach(entry => {
+        reasonList.appendChild(renderReason(entry));
+      });
+      emptyState.hidden = response.reasons.length > 0;
+    });
+  }
+
+  function renderReason(entry) {
+    const item = document.createElement('li');
+    item.className = 'reason-item';
+
+    const text = document.createElement('div');
+    text.className = 'reason-text';
+    text.textContent = entry.reason;
+
+    const meta = document.createElement('div');
+    meta.className = 'reason-meta';
+    const when = new Date(entry.at).toLocaleString([], {
+      weekday: 'short', hour: '2-digit', minute: '2-digit'
+    });
+    meta.textContent = [entry.site, when, entry.goal && `goal: ${entry.goal}`]
+      .filter(Boolean)
+      .join(' · ');
+
+    item.append(text, meta);
+    return item;
+  }
+}
+
+// ── Goal Journal ────────────────────────────────────────
+
+function initJournal() {
+  const list       = document.getElementById('journalList');
+  const emptyState = document.getElementById('journalEmpty');
+
+  document.getElementById('exportJournalCsv').addEventListener('click', () => {
+    exportJournal(journalToCsv, 'text/csv', 'csv');
+  });
+  document.getElementById('exportJournalMd').addEventListener('click', () => {
+    exportJournal(journalToMarkdown, 'text/markdown', 'md');
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.journal) render();
+  });
+
+  render();
+
+  function render() {
+    chrome.runtime.sendMessage({ type: 'GET_JOURNAL' }, (response) => {
+      if (!response) return;
+      list.innerHTML = '';
+      response.journal.slice(0, JOURNAL_SHOWN).forEach(record => {
+        list.appendChild(renderRecord(record));
+      });
+      emptyState.hidden = response.journal.length > 0;
+    });
+  }
+
+  function renderRecord(record) {
+    const item = document.createElement('li');
+    item.className = 'reason-item journal-entry';
+
+    const text = document.createElement('div');
+    text.className = 'reason-text';
+    text.textContent = record.goal;
+    const answer = record.reflection && record.reflection.accomplished;
+    if (answer) {
+      const badge = document.createElement('span');
+      badge.className = `journal-answer ${answer}`;
+      badge.textContent = ACCOMPLISHED_LABELS[answer];
+      text.appendChild(badge);
+    }
+
+    const when = document.createElement('div');
+    when.className = 'reason-meta';
+    when.textContent = `${describeSpan(record)} · ${formatMinutes(durationSeconds(record))}`;
+
+    const counts = document.createElement('div');
+    counts.className = 'reason-meta';
+    counts.textContent = [
+      `Guarded sites ${describeSiteTime(record.siteSeconds)}`,
+      `${record.filtered} filtered`,
+      `${record.overrides} overrides`
+    ].join(' · ');
+
+    item.append(text, when, counts);
+    if (record.reflection && record.reflection.notes) {
+      const notes = document.createElement('div');
+      notes.className = 'journal-notes';
+      notes.textContent = record.reflection.notes;
+      item.appendChild(notes);
+    }
+    return item;
+  }
+
+  // Exports run oldest first, like a diary
+  function exportJournal(format, type, extension) {
+    chrome.runtime.sendMessage({ type: 'GET_JOURNAL' }, (response) => {
+      if (!response) return;
+      if (response.journal.length === 0) {
+        showToast('Nothing to export yet');
+        return;
+      }
+      const today = new Date().toISOString().slice(0, 10);
+      downloadFile(format([...response.journal].reverse()), type, `focus-firewall-journal-${today}.${extension}`);
+    });
+  }
+}
+
+function journalToCsv(records) {
+  const header = [
+    'started', 'ended', 'goal', 'minutes', 'guarded_site_minutes', 'sites',
+    'filtered', 'overrides', 'accomplished', 'notes'
+  ];
+  const rows = records.map(record => [
+    new Date(record.startedAt).toISOString(),
+    new Date(record.endedAt).toISOString(),
+    record.goal,
+    Math.round(durationSeconds(record) / 60),
+    Math.round(totalSeconds(record.siteSeconds) / 60),
+    Object.entries(record.siteSeconds)
+      .map(([site, seconds]) => `${site} ${Math.round(seconds / 60)}m`)
+      .join('; '),
+    record.filtered,
+    record.overrides,
+    (record.reflection && record.reflection.accomplished) || '',
+    (record.reflection && record.reflection.notes) || ''
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Quote cells that need it. Text that a spreadsheet would run as a
+// formula (=, +, -, @) gets a leading apostrophe.
+function csvCell(value) {
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function journalToMarkdown(records) {
+  const sections = records.map(record => {
+    const reflection = record.reflection || {};
+    const lines = [
+      `## ${record.goal}`,
+      '',
+      `*${describeSpan(record)} (${formatMinutes(durationSeconds(record))})*`,
+      '',
+      `- Guarded sites: ${describeSiteTime(record.siteSeconds)}`,
+      `- Filtered: ${record.filtered}`,
+      `- Overrides: ${record.overrides}`,
+      `- Accomplished: ${ACCOMPLISHED_LABELS[reflection.accomplished] || '—'}`
+    ];
+    if (reflection.notes) {
+      lines.push('', ...reflection.notes.split('\n').map(line => `> ${line}`.trimEnd()));
+    }
+    return lines.join('\n');
+  });
+  return ['# Focus Firewall — Goal Journal', ...sections].join('\n\n') + '\n';
+}
+
+function durationSeconds(record) {
+  return (record.endedAt - record.startedAt) / 1000;
+}
+
+function totalSeconds(siteSeconds) {
+  return Object.values(siteSeconds).reduce((sum, seconds) => sum + seconds, 0);
+}
+
+// "Mon, 3 Mar, 09:00 – 10:30"; the end gets a date too if it's another day
+function describeSpan(record) {
+  const start = new Date(record.startedAt);
+  const end = new Date(record.endedAt);
+  const time = { hour: '2-digit', minute: '2-digit' };
+  const day = { weekday: 'short', day: 'numeric', month: 'short' };
+  const endText = start.toDateString() === end.toDateString()
+    ? end.toLocaleTimeString([], time)
+    : end.toLocaleString([], { ...day, ...time });
+  return `${start.toLocaleString([], { ...day, ...time })} – ${endText}`;
+}
+
+// "12m (instagram.com 10m, facebook.com 2m)", or "none"
+function describeSiteTime(siteSeconds) {
+  const sites = Object.entries(siteSeconds).filter(([, seconds]) => seconds >= 30);
+  if (sites.length === 0) return 'none';
+  const perSite = sites.map(([site, seconds]) => `${site} ${formatMinutes(seconds)}`).join(', ');
+  return `${formatMinutes(totalSeconds(siteSeconds))} (${perSite})`;
+}
+
+// "45m", "1h 20m"
+function formatMinutes(seconds) {
+  const minutes = Math.round(seconds / 60);
+  const h = Math.floor(minutes / 60);
+  return h > 0 ? `${h}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+// ── Backup & Sync ───────────────────────────────────────
+
+function initBackup() {
+  const fileInput     = document.getElementById('importFile');
+  const errorText     = document.getElementById('importError');
+  const preview       = document.getElementById('importPreview');
+  const summaryList   = document.getElementById('importSummary');
+  const skippedList   = document.getElementById('importSkipped');
+  const syncCheckbox  = document.getElementById('syncEnabled');
+  const syncStatus    = document.getElementById('syncStatus');
+
+  let pendingImport = null; // { file, origins } waiting for confirmation
+
+  document.getElementById('exportSettings').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'EXPORT_SETTINGS' }, (response) => {
+      if (!response) return;
+      downloadFile(
+        JSON.stringify(response.file, null, 2),
+        'application/json',
+        `focus-firewall-settings-${response.file.exportedAt.slice(0, 10)}.json`
+      );
+    });
+  });
+
+  document.getElementById('importSettings').addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', () => {
+    const selected = fileInput.files[0];
+    fileInput.value = ''; // Picking the same file again still fires change
+    if (!selected) return;
+
+    selected.text().then((text) => {
+      let file;
+      try {
+        file = JSON.parse(text);
+      } catch (e) {
+        showImportError("That file isn't valid JSON.");
+        return;
+      }
+      chrome.runtime.sendMessage({ type: 'PREVIEW_IMPORT', file }, (response) => {
+        if (!response || !response.success) {
+          showImportError((response && response.error) || 'Could not read that file.');
+          return;
+        }
+        if (response.summary.length === 0) {
+          showImportError('That file has no settings to import.');
+          return;
+        }
+        pendingImport = { file, origins: response.origins };
+        renderPreview(response.summary, response.skipped);
+      });
+    });
+  });
+
+  document.getElementById('cancelImport').addEventListener('click', closePreview);
+
+  document.getElementById('confirmImport').addEventListener('click', () => {
+    if (!pendingImport) return;
+    const { file, origins } = pendingImport;
+
+    // Ask for imported sites' host access while we have the user gesture.
+    // Declined sites are still imported, just inactive until granted.
+    const apply = () => {
+      chrome.runtime.sendMessage({ type: 'APPLY_IMPORT', file }, (response) => {
+        if (!response || !response.success) {
+          showImportError((response && response.error) || 'Import failed.');
+          return;
+        }
+        closePreview();
+        showToast('✓ Settings imported');
+      });
+    };
+    if (origins.length > 0) {
+      chrome.permissions.request({ origins }, apply);
+    } else {
+      apply();
+    }
+  });
+
+  syncCheckbox.addEventListener('change', () => {
+    syncStatus.textContent = syncCheckbox.checked ? 'Syncing…' : '';
+    chrome.runtime.sendMessage({ type: 'SET_SYNC', enabled: syncCheckbox.checked });
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.syncSettings || changes.syncStatus)) renderSync();
+  });
+
+  renderSync();
+
+  function renderPreview(summary, skipped) {
+    errorText.textContent = '';
+    summaryList.innerHTML = '';
+    summary.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      summaryList.appendChild(item);
+    });
+    skippedList.innerHTML = '';
+    skipped.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = `Skipped: ${line}`;
+      skippedList.appendChild(item);
+    });
+    preview.hidden = false;
+  }
+
+  function closePreview() {
+    pendingImport = null;
+    preview.hidden = true;
+  }
+
+  function showImportError(message) {
+    closePreview();
+    errorText.textContent = message;
+  }
+
+  function renderSync() {
+    chrome.storage.local.get(['syncSettings', 'syncStatus'], (data) => {
+      syncCheckbox.checked = !!data.syncSettings;
+      const status = data.syncStatus;
+      syncStatus.classList.toggle('error', !!(status && status.error));
+      if (!data.syncSettings || !status) {
+        syncStatus.textContent = '';
+      } else if (status.error) {
+        syncStatus.textContent = `Not synced: ${status.error}`;
+      } else if (status.lastSyncedAt) {
+        syncStatus.textContent = `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}`;
+      }
+    });
+  }
+}
+
+// "Mo Tu We 09:00–12:00 · Sa 10:00–14:00"
+function describeSchedule(schedule) {
+  if (!schedule || schedule.length === 0) return 'Manual only';
+  return schedule
+    .map(slot => `${slot.days.map(d => DAY_LABELS[d]).join(' ')} ${slot.start}–${slot.end}`)
+    .join(' · ');
+}
+
+// ── UI Helpers ──────────────────────────────────────────
+
+function makeSelect(options, value) {
+  const select = document.createElement('select');
+  Object.entries(options).forEach(([optionValue, label]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = value;
+  return select;
+}
+
+// Save generated text through the browser's download flow
+function downloadFile(text, type, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function makeButton(label, className, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = className;
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// "postgres, joins\nnormalization" → ['postgres', 'joins', 'normalization']
+function parseTerms(value) {
+  return value.split(/[,\n]/).map(t => t.trim()).filter(Boolean);
+}
+
+function showToast(message) {
+  // Remove existing toast if any
+  const existing = document.querySelector('.toast');
+  if (existing) existing.remove();
+
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.textContent = message;
+  document.body.appendChild(toast);
+
+  // Trigger animation
+  requestAnimationFrame(() => {
+    toast.classList.add('show');
+  });
+
+  // Auto dismiss
+  setTimeout(() => {
+    toast.classList.remove('show');
+    setTimeout(() => toast.remove(), 350);
+  }, 2000);
+}
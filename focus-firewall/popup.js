@@ -1,6 +1,11 @@
 /**
  * Focus Firewall — Popup Script
  * Handles UI interactions, goal persistence, and toggle state.
+ * The background worker has the final say: while a commitment lock
+ * holds it refuses pausing and clearing the goal, and the popup shows why.
+ * Past goals come from the background's goal history, which is also
+ * where pins and deletions are saved. When a goal session ends the popup
+ * offers a short, skippable reflection for the journal.
  */
 
 document.addEventListener('DOMContentLoaded', init);
@@ -9,27 +14,105 @@ function init() {
   const goalInput    = document.getElementById('goalInput');
   const saveBtn      = document.getElementById('saveGoal');
   const clearBtn     = document.getElementById('clearGoal');
+  const goalSuggestions = document.getElementById('goalSuggestions');
+  const recentGoals  = document.getElementById('recentGoals');
   const toggleSwitch = document.getElementById('toggleSwitch');
   const statusDot    = document.getElementById('statusDot');
   const statusText   = document.getElementById('statusText');
   const activeSection = document.getElementById('activeGoalSection');
   const activeText   = document.getElementById('activeGoalText');
+  const includeInput = document.getElementById('includeTerms');
+  const excludeInput = document.getElementById('excludeTerms');
+  const allowChannelsInput = document.getElementById('allowChannels');
+  const blockChannelsInput = document.getElementById('blockChannels');
+  const suggestionsBox = document.getElementById('revealSuggestions');
+  const suggestionChips = document.getElementById('suggestionChips');
+  const onTopicBox   = document.getElementById('onTopicBox');
+  const onTopicChips = document.getElementById('onTopicChips');
+  const saveTermsBtn = document.getElementById('saveTerms');
+  const profileSelect = document.getElementById('profileSelect');
+  const sessionIdle  = document.getElementById('sessionIdle');
+  const sessionRunning = document.getElementById('sessionRunning');
+  const sessionPhase = document.getElementById('sessionPhase');
+  const sessionCycle = document.getElementById('sessionCycle');
+  const sessionTime  = document.getElementById('sessionTime');
+  const lockIdle     = document.getElementById('lockIdle');
+  const lockRunning  = document.getElementById('lockRunning');
+  const lockDuration = document.getElementById('lockDuration');
+  const lockUntil    = document.getElementById('lockUntil');
+  const lockEmergency = document.getElementById('lockEmergency');
+  const lockUnlock   = document.getElementById('lockUnlock');
+  const unlockForm   = document.getElementById('unlockForm');
+  const unlockInput  = document.getElementById('unlockInput');
+  const unlockPending = document.getElementById('unlockPending');
+  const reflectionCard = document.getElementById('reflectionCard');
+  const reflectionNotes = document.getElementById('reflectionNotes');
+
+  let sessionTicker = null;
+  let lockTicker = null;
+  let goalHistory = [];  // Pinned first, then newest, see GET_GOAL_HISTORY
+  let suggestions = [];  // Entries in the open autocomplete list
+  let highlighted = -1;
+  let reflectionId = null;  // Journal record the reflection card is about
   const container    = document.querySelector('.popup-container');
 
   // ── Load persisted state ──────────────────────────────
-  chrome.storage.local.get(['focusGoal', 'isEnabled'], (data) => {
+  chrome.storage.local.get(['focusGoal', 'isEnabled', 'snoozeUntil'], (data) => {
     const goal    = data.focusGoal || '';
     const enabled = data.isEnabled !== false; // default true
 
     goalInput.value = goal;
     toggleSwitch.checked = enabled;
-    applyToggleUI(enabled);
+    applyToggleUI(enabled, data.snoozeUntil);
 
     if (goal.trim()) {
       showActiveGoal(goal);
     }
   });
 
+  loadProfiles();
+  loadStats();
+  loadGoalHistory();
+  loadReflection();
+
+  chrome.storage.local.get('focusSession', (data) => renderSession(data.focusSession));
+
+  loadLock();
+
+  // Phase changes happen in the background worker while the popup is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.focusSession) {
+      renderSession(changes.focusSession.newValue);
+    }
+    if (area === 'local' && changes.commitLock) loadLock();
+    // A snooze can run out, or a shortcut flip protection, with the popup open
+    if (area === 'local' && (changes.isEnabled || changes.snoozeUntil)) {
+      chrome.storage.local.get(['isEnabled', 'snoozeUntil'], (data) => {
+        toggleSwitch.checked = data.isEnabled !== false;
+        applyToggleUI(data.isEnabled !== false, data.snoozeUntil);
+      });
+    }
+  });
+
+  // ── Goal Profiles ─────────────────────────────────────
+  profileSelect.addEventListener('change', () => {
+    const id = profileSelect.value;
+    if (!id) return; // "Custom goal" just means typing one below
+
+    chrome.runtime.sendMessage({ type: 'ACTIVATE_PROFILE', id }, (response) => {
+      if (!response || !response.success) return;
+      goalInput.value = response.goal;
+      showActiveGoal(response.goal);
+      loadGoalHistory();
+      loadReflection();
+      showToast(`🔒 ${profileSelect.selectedOptions[0].textContent} activated`);
+    });
+  });
+
+  document.getElementById('manageProfiles').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
   // ── Save Goal ─────────────────────────────────────────
   saveBtn.addEventListener('click', () => {
     const goal = goalInput.value.trim();
@@ -39,8 +122,12 @@ function init() {
       return;
     }
 
+    closeSuggestions();
     chrome.runtime.sendMessage({ type: 'SET_GOAL', goal }, () => {
+      profileSelect.value = '';
       showActiveGoal(goal);
+      loadGoalHistory();
+      loadReflection();
       showToast('🔒 Goal locked in!');
 
       // Brief visual feedback on save button
@@ -57,40 +144,423 @@ function init() {
     });
   });
 
-  // Allow pressing Enter to save
+  // Enter saves (the highlighted suggestion, if any); arrows move
+  // through suggestions and Escape closes them
   goalInput.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') saveBtn.click();
+    if (e.key === 'Enter') {
+      if (suggestions[highlighted]) goalInput.value = suggestions[highlighted].goal;
+      saveBtn.click();
+    } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && suggestions.length > 0) {
+      e.preventDefault();
+      // -1 is the typed text itself, between the last and first suggestion
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const count = suggestions.length + 1;
+      highlighted = (highlighted + 1 + step + count) % count - 1;
+      renderSuggestions();
+    } else if (e.key === 'Escape' && suggestions.length > 0) {
+      e.preventDefault(); // Keep the popup open
+      closeSuggestions();
+    }
   });
 
   // ── Clear Goal ────────────────────────────────────────
   clearBtn.addEventListener('click', () => {
     goalInput.value = '';
     goalInput.focus();
-    chrome.runtime.sendMessage({ type: 'SET_GOAL', goal: '' }, () => {
+    chrome.runtime.sendMessage({ type: 'SET_GOAL', goal: '' }, (response) => {
+      if (!response || !response.success) {
+        goalInput.value = activeText.textContent;
+        showToast(`🔒 ${(response && response.error) || 'Could not clear the goal'}`);
+        return;
+      }
+      profileSelect.value = '';
+      activeText.textContent = '';
       activeSection.style.display = 'none';
+      renderRecentGoals();
+      loadReflection();
       showToast('Goal cleared');
     });
   });
 
+  // ── Goal History ──────────────────────────────────────
+  // Autocomplete from past goals as the user types, plus chips for the
+  // top few. Pinned goals always rank first.
+  const MAX_SUGGESTIONS = 6;
+  const MAX_RECENT_CHIPS = 4;
+
+  goalInput.addEventListener('input', () => {
+    highlighted = -1;
+    openSuggestions();
+  });
+  goalInput.addEventListener('focus', openSuggestions);
+  goalInput.addEventListener('blur', closeSuggestions);
+
+  function loadGoalHistory() {
+    chrome.runtime.sendMessage({ type: 'GET_GOAL_HISTORY' }, (response) => {
+      if (!response) return;
+      goalHistory = response.history;
+      renderRecentGoals();
+    });
+  }
+
+  // Prefix matches beat word-start matches beat anything else;
+  // ties keep the history order
+  function matchGoals(query) {
+    const q = query.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!q) return goalHistory.slice(0, MAX_SUGGESTIONS);
+
+    const rank = goal => {
+      const text = goal.toLowerCase();
+      if (text.startsWith(q)) return 0;
+      if (text.includes(' ' + q)) return 1;
+      return text.includes(q) ? 2 : -1;
+    };
+    return goalHistory
+      .map(entry => ({ entry, rank: rank(entry.goal) }))
+      .filter(match => match.rank >= 0)
+      .sort((a, b) => a.rank - b.rank)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(match => match.entry);
+  }
+
+  function openSuggestions() {
+    suggestions = matchGoals(goalInput.value);
+    // Nothing to suggest beyond what's already typed
+    if (suggestions.length === 1 && suggestions[0].goal === goalInput.value.trim()) {
+      suggestions = [];
+    }
+    highlighted = Math.min(highlighted, suggestions.length - 1);
+    renderSuggestions();
+  }
+
+  function closeSuggestions() {
+    suggestions = [];
+    highlighted = -1;
+    renderSuggestions();
+  }
+
+  function renderSuggestions() {
+    goalSuggestions.innerHTML = '';
+    goalSuggestions.hidden = suggestions.length === 0;
+    suggestions.forEach((entry, index) => {
+      const item = document.createElement('li');
+      item.className = 'goal-suggestion' + (index === highlighted ? ' highlighted' : '');
+      item.setAttribute('role', 'option');
+
+      const text = document.createElement('span');
+      text.className = 'goal-suggestion-text';
+      text.textContent = entry.goal;
+
+      const meta = document.createElement('span');
+      meta.className = 'goal-suggestion-meta';
+      meta.textContent = [`${entry.uses}×`, formatLastUsed(entry.lastUsedAt)].filter(Boolean).join(' · ');
+
+      const pin = historyButton(entry.pinned ? 'Unpin' : 'Pin to the top', '📌', () => {
+        editGoal({ type: 'PIN_GOAL', goal: entry.goal, pinned: !entry.pinned });
+      });
+      pin.classList.toggle('pinned', entry.pinned);
+
+      const remove = historyButton('Remove from history', '✕', () => {
+        editGoal({ type: 'DELETE_GOAL', goal: entry.goal });
+      });
+
+      item.append(text, meta, pin, remove);
+      // mousedown, not click: the input's blur would close the list first
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        goalInput.value = entry.goal;
+        saveBtn.click();
+      });
+      goalSuggestions.appendChild(item);
+    });
+  }
+
+  function historyButton(title, label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'goal-suggestion-btn';
+    button.title = title;
+    button.textContent = label;
+    button.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  // The background saves the change and answers with the new history
+  function editGoal(message) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (!response || !response.success) return;
+      goalHistory = response.history;
+      renderRecentGoals();
+      openSuggestions();
+    });
+  }
+
+  // One click sets a goal again; the active goal isn't offered
+  function renderRecentGoals() {
+    const active = activeText.textContent.toLowerCase();
+    const top = goalHistory
+      .filter(entry => entry.goal.toLowerCase() !== active)
+      .slice(0, MAX_RECENT_CHIPS);
+
+    recentGoals.innerHTML = '';
+    recentGoals.hidden = top.length === 0;
+    top.forEach(entry => {
+      const chip = document.createElement('button');
+      chip.className = 'suggestion-chip recent-goal-chip';
+      chip.textContent = entry.pinned ? `📌 ${entry.goal}` : entry.goal;
+      chip.title = `Set as goal (used ${entry.uses}×)`;
+      chip.addEventListener('click', () => {
+        goalInput.value = entry.goal;
+        saveBtn.click();
+      });
+      recentGoals.appendChild(chip);
+    });
+  }
+
+  function formatLastUsed(timestamp) {
+    if (!timestamp) return '';
+    const days = Math.round((startOfDay(Date.now()) - startOfDay(timestamp)) / 86400000);
+    if (days <= 0) return 'today';
+    if (days === 1) return 'yesterday';
+    return `${days}d ago`;
+  }
+
+  function startOfDay(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
+  // ── Reflection ────────────────────────────────────────
+  // Asked once per finished goal session; Skip saves an empty answer so
+  // the same session isn't asked about again
+  const reflectionChoices = reflectionCard.querySelectorAll('.reflection-choice');
+
+  reflectionChoices.forEach(btn => {
+    btn.addEventListener('click', () => {
+      const wasSelected = btn.classList.contains('selected');
+      reflectionChoices.forEach(b => b.classList.remove('selected'));
+      btn.classList.toggle('selected', !wasSelected);
+    });
+  });
+
+  document.getElementById('saveReflection').addEventListener('click', () => {
+    const selected = reflectionCard.querySelector('.reflection-choice.selected');
+    saveReflection(selected ? selected.dataset.answer : null, reflectionNotes.value, '✓ Saved to journal');
+  });
+
+  document.getElementById('skipReflection').addEventListener('click', () => {
+    saveReflection(null, '', null);
+  });
+
+  function loadReflection() {
+    chrome.runtime.sendMessage({ type: 'GET_PENDING_REFLECTION' }, (response) => {
+      if (response) renderReflection(response.record);
+    });
+  }
+
+  function renderReflection(record) {
+    reflectionCard.hidden = !record;
+    if (!record || record.id === reflectionId) return;
+
+    reflectionId = record.id;
+    document.getElementById('reflectionGoal').textContent = record.goal;
+    document.getElementById('reflectionMeta').textContent =
+      `${formatSpan((record.endedAt - record.startedAt) / 1000)} · ended ${formatClock(record.endedAt)}`;
+    reflectionChoices.forEach(b => b.classList.remove('selected'));
+    reflectionNotes.value = '';
+  }
+
+  function saveReflection(accomplished, notes, toastMessage) {
+    chrome.runtime.sendMessage({
+      type: 'SAVE_REFLECTION',
+      id: reflectionId,
+      accomplished,
+      notes
+    }, (response) => {
+      if (!response || !response.success) return;
+      reflectionCard.hidden = true;
+      if (toastMessage) showToast(toastMessage);
+    });
+  }
+
+  // ── Goal Terms ────────────────────────────────────────
+  // Keyword and channel lists belong to the goal that is currently locked in
+  saveTermsBtn.addEventListener('click', () => saveGoalTerms('✓ Rules saved'));
+
+  function saveGoalTerms(toastMessage) {
+    const goal = activeText.textContent;
+    if (!goal) return;
+
+    chrome.runtime.sendMessage({
+      type: 'SET_GOAL_TERMS',
+      goal,
+      include: parseTerms(includeInput.value),
+      exclude: parseTerms(excludeInput.value),
+      allowChannels: parseTerms(allowChannelsInput.value),
+      blockChannels: parseTerms(blockChannelsInput.value)
+    }, (response) => {
+      if (!response || !response.success) return;
+      fillGoalTerms(response);
+      loadSuggestions(goal);
+      showToast(toastMessage);
+    });
+  }
+
+  // ── Focus Session ─────────────────────────────────────
+  document.querySelectorAll('.session-presets .preset-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({
+        type: 'START_SESSION',
+        workMinutes: Number(btn.dataset.work),
+        breakMinutes: Number(btn.dataset.break)
+      }, (response) => {
+        if (response && response.success) showToast('⏱ Focus session started');
+      });
+    });
+  });
+
+  document.getElementById('stopSession').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'STOP_SESSION' }, () => {
+      showToast('Focus session ended');
+    });
+  });
+
   // ── Toggle ON/OFF ─────────────────────────────────────
   toggleSwitch.addEventListener('change', () => {
     const enabled = toggleSwitch.checked;
-    chrome.runtime.sendMessage({ type: 'SET_ENABLED', isEnabled: enabled }, () => {
+    chrome.runtime.sendMessage({ type: 'SET_ENABLED', isEnabled: enabled }, (response) => {
+      if (!response || !response.success) {
+        toggleSwitch.checked = !enabled;
+        showToast(`🔒 ${(response && response.error) || 'Could not change protection'}`);
+        return;
+      }
       applyToggleUI(enabled);
       showToast(enabled ? '🛡 Protection activated' : '⏸ Protection paused');
     });
   });
 
+  // ── Commitment Lock ───────────────────────────────────
+  lockDuration.addEventListener('change', () => {
+    lockUntil.hidden = lockDuration.value !== 'until';
+  });
+
+  document.getElementById('startLock').addEventListener('click', () => {
+    const message = { type: 'START_LOCK', emergencyUnlock: lockEmergency.checked };
+    if (lockDuration.value === 'until') {
+      message.until = lockEndTime();
+      if (!message.until) {
+        showToast('⚠ Pick a time to lock until');
+        lockUntil.focus();
+        return;
+      }
+    } else {
+      message.minutes = Number(lockDuration.value);
+    }
+    chrome.runtime.sendMessage(message, (response) => {
+      if (!response || !response.success) {
+        showToast(`⚠ ${(response && response.error) || 'Could not start the lock'}`);
+        return;
+      }
+      // Locking turns protection back on
+      toggleSwitch.checked = true;
+      applyToggleUI(true);
+      showToast(`🔒 Locked until ${formatClock(response.lock.until)}`);
+    });
+  });
+
+  document.getElementById('showUnlock').addEventListener('click', () => {
+    unlockForm.hidden = !unlockForm.hidden;
+    if (!unlockForm.hidden) unlockInput.focus();
+  });
+
+  // The phrase has to be typed, not pasted
+  unlockInput.addEventListener('paste', e => e.preventDefault());
+  unlockInput.addEventListener('drop', e => e.preventDefault());
+
+  document.getElementById('requestUnlock').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'REQUEST_UNLOCK', phrase: unlockInput.value }, (response) => {
+      if (!response || !response.success) {
+        showToast(`⚠ ${(response && response.error) || 'Could not start the unlock'}`);
+        return;
+      }
+      unlockInput.value = '';
+      showToast('⏳ Unlock wait started');
+    });
+  });
+
+  document.getElementById('cancelUnlock').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'CANCEL_UNLOCK' }, () => showToast('🔒 Staying locked'));
+  });
+
+  // The next time the clock reads the chosen "Until…" time (tomorrow if
+  // that's already passed today). Durations are timed by the worker.
+  function lockEndTime() {
+    if (!lockUntil.value) return null;
+    const [hours, minutes] = lockUntil.value.split(':').map(Number);
+    const end = new Date();
+    end.setHours(hours, minutes, 0, 0);
+    if (end.getTime() <= Date.now()) end.setDate(end.getDate() + 1);
+    return end.getTime();
+  }
+
+  function loadLock() {
+    chrome.runtime.sendMessage({ type: 'GET_LOCK' }, (response) => {
+      if (response) renderLock(response);
+    });
+  }
+
+  function renderLock({ lock, unlockPhrase, emergencyMinutes }) {
+    clearInterval(lockTicker);
+    lockTicker = null;
+
+    // Only UI: the background refuses these while locked anyway
+    toggleSwitch.disabled = !!lock;
+    clearBtn.disabled = !!lock;
+    toggleSwitch.title = lock ? `Locked until ${formatClock(lock.until)}` : '';
+
+    lockIdle.hidden = !!lock;
+    lockRunning.hidden = !lock;
+    if (!lock) return;
+
+    document.getElementById('lockUntilText').textContent = `until ${formatClock(lock.until)}`;
+    lockUnlock.hidden = !lock.emergencyUnlock;
+    document.getElementById('showUnlock').hidden = !!lock.unlockAt;
+    unlockForm.hidden = unlockForm.hidden || !!lock.unlockAt;
+    unlockPending.hidden = !lock.unlockAt;
+    document.getElementById('unlockHint').textContent =
+      `Type this, then wait ${emergencyMinutes} minutes:`;
+    document.getElementById('unlockPhrase').textContent = unlockPhrase;
+    if (lock.unlockAt) {
+      document.getElementById('unlockPendingText').textContent = `Unlocks at ${formatClock(lock.unlockAt)}`;
+    }
+
+    // Counts down to whichever comes first; the background ends the lock
+    const endsAt = Math.min(lock.until, lock.unlockAt || Infinity);
+    const tick = () => {
+      const seconds = Math.max(0, Math.round((endsAt - Date.now()) / 1000));
+      document.getElementById('lockTime').textContent = formatDuration(seconds);
+    };
+    tick();
+    lockTicker = setInterval(tick, 1000);
+  }
+
   // ── UI Helpers ────────────────────────────────────────
 
-  function applyToggleUI(enabled) {
+  // `snoozeUntil`: paused by the snooze shortcut, back on by itself then
+  function applyToggleUI(enabled, snoozeUntil) {
     if (enabled) {
       statusDot.classList.remove('off');
       statusText.textContent = 'Protection Active';
       container.classList.remove('disabled');
     } else {
       statusDot.classList.add('off');
-      statusText.textContent = 'Protection Paused';
+      statusText.textContent = snoozeUntil
+        ? `Snoozed until ${formatClock(snoozeUntil)}`
+        : 'Protection Paused';
       container.classList.add('disabled');
     }
   }
@@ -98,6 +568,200 @@ function init() {
   function showActiveGoal(goal) {
     activeText.textContent = goal;
     activeSection.style.display = 'block';
+    loadGoalTerms(goal);
+    renderRecentGoals();
+  }
+
+  function renderSession(session) {
+    clearInterval(sessionTicker);
+    sessionTicker = null;
+
+    if (!session) {
+      sessionIdle.style.display = 'flex';
+      sessionRunning.style.display = 'none';
+      return;
+    }
+
+    sessionIdle.style.display = 'none';
+    sessionRunning.style.display = 'flex';
+    sessionPhase.textContent = session.phase === 'work' ? 'Work' : 'Break';
+    sessionPhase.classList.toggle('break', session.phase === 'break');
+    sessionCycle.textContent = `Cycle ${session.cycle} · ${session.workMinutes}/${session.breakMinutes}`;
+
+    const tick = () => {
+      const seconds = Math.max(0, Math.round((session.phaseEndsAt - Date.now()) / 1000));
+      sessionTime.textContent = formatTime(seconds);
+    };
+    tick();
+    sessionTicker = setInterval(tick, 1000);
+  }
+
+  function formatTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = seconds % 60;
+    return `${m}:${s.toString().padStart(2, '0')}`;
+  }
+
+  // Like formatTime, with hours once there are any: "1:05:09"
+  function formatDuration(seconds) {
+    const h = Math.floor(seconds / 3600);
+    if (h === 0) return formatTime(seconds);
+    return `${h}:${formatTime(seconds % 3600).padStart(5, '0')}`;
+  }
+
+  // Elapsed time in words, e.g. "1h 20m"
+  function formatSpan(seconds) {
+    const minutes = Math.round(seconds / 60);
+    const h = Math.floor(minutes / 60);
+    return h > 0 ? `${h}h ${minutes % 60}m` : `${minutes}m`;
+  }
+
+  // Wall-clock time, e.g. "3:45 PM" depending on locale
+  function formatClock(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  // ── Protection Stats ──────────────────────────────────
+  function loadStats() {
+    chrome.runtime.sendMessage({ type: 'GET_STATS', days: 7 }, (response) => {
+      if (!response) return;
+      const today = response.today;
+
+      document.getElementById('statFiltered').textContent = filteredCount(today);
+      document.getElementById('statRevealed').textContent =
+        `${today.videosRevealed + today.itemsRevealed} revealed`;
+      document.getElementById('statGuarded').textContent = today.modalsShown;
+      document.getElementById('statChoices').textContent =
+        `${today.goBackClicks} back · ${today.continueClicks} continued`;
+
+      // "instagram.com 12m · facebook.com 3m"
+      document.getElementById('socialTime').textContent = Object.entries(today.socialSeconds)
+        .filter(([, seconds]) => seconds >= 60)
+        .sort((a, b) => b[1] - a[1])
+        .map(([site, seconds]) => `${site} ${Math.round(seconds / 60)}m`)
+        .join(' · ');
+
+      renderTrend(response.trend);
+    });
+  }
+
+  // YouTube videos plus posts blurred on other feed-filter sites
+  function filteredCount(day) {
+    return day.videosBlurred + day.itemsBlurred + day.itemsHidden;
+  }
+
+  // Two bars per day, each series scaled to its own 7-day maximum
+  function renderTrend(trend) {
+    const chart = document.getElementById('trendChart');
+    const socialMinutes = day =>
+      Math.round(Object.values(day.socialSeconds).reduce((a, b) => a + b, 0) / 60);
+    const maxFiltered = Math.max(1, ...trend.map(filteredCount));
+    const maxSocial = Math.max(1, ...trend.map(socialMinutes));
+
+    chart.innerHTML = '';
+    trend.forEach((day, i) => {
+      const column = document.createElement('div');
+      column.className = 'trend-day' + (i === trend.length - 1 ? ' today' : '');
+
+      const bars = document.createElement('div');
+      bars.className = 'trend-bars';
+      bars.append(
+        makeBar('filtered', filteredCount(day) / maxFiltered, `${filteredCount(day)} filtered`),
+        makeBar('social', socialMinutes(day) / maxSocial, `${socialMinutes(day)} social min`)
+      );
+
+      const label = document.createElement('span');
+      label.className = 'trend-label';
+      // Parse as local date; "YYYY-MM-DD" alone would be read as UTC
+      label.textContent = new Date(`${day.day}T00:00`)
+        .toLocaleDateString(undefined, { weekday: 'narrow' });
+
+      column.append(bars, label);
+      chart.appendChild(column);
+    });
+  }
+
+  function makeBar(kind, ratio, title) {
+    const bar = document.createElement('div');
+    bar.className = `trend-bar ${kind}`;
+    bar.style.height = `${Math.round(ratio * 100)}%`;
+    bar.title = title;
+    return bar;
+  }
+
+  function loadProfiles() {
+    chrome.runtime.sendMessage({ type: 'GET_PROFILES' }, (response) => {
+      if (!response) return;
+      response.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        profileSelect.appendChild(option);
+      });
+      profileSelect.value = response.activeProfileId || '';
+    });
+  }
+
+  function loadGoalTerms(goal) {
+    chrome.runtime.sendMessage({ type: 'GET_GOAL_TERMS', goal }, (terms) => {
+      if (terms) fillGoalTerms(terms);
+    });
+    loadSuggestions(goal);
+  }
+
+  // Words from titles the user keeps revealing; one click makes them relevant
+  function loadSuggestions(goal) {
+    chrome.runtime.sendMessage({ type: 'GET_REVEAL_SUGGESTIONS', goal }, (response) => {
+      if (!response) return;
+      suggestionChips.innerHTML = '';
+      suggestionsBox.hidden = response.suggestions.length === 0;
+      response.suggestions.forEach(({ term, count }) => {
+        const chip = document.createElement('button');
+        chip.className = 'suggestion-chip';
+        chip.textContent = `+ ${term}`;
+        chip.title = `Revealed ${count} times`;
+        chip.addEventListener('click', () => {
+          includeInput.value = [...parseTerms(includeInput.value), term].join(', ');
+          saveGoalTerms(`✓ "${term}" is now always relevant`);
+        });
+        suggestionChips.appendChild(chip);
+      });
+    });
+  }
+
+  function fillGoalTerms(terms) {
+    includeInput.value = terms.include.join(', ');
+    excludeInput.value = terms.exclude.join(', ');
+    allowChannelsInput.value = terms.allowChannels.join(', ');
+    blockChannelsInput.value = terms.blockChannels.join(', ');
+    renderOnTopic(terms.onTopicTitles);
+  }
+
+  // Titles marked on-topic from a YouTube link's context menu
+  function renderOnTopic(titles) {
+    onTopicChips.innerHTML = '';
+    onTopicBox.hidden = titles.length === 0;
+    titles.forEach(title => {
+      const chip = document.createElement('button');
+      chip.className = 'suggestion-chip on-topic-chip';
+      chip.textContent = `✕ ${title}`;
+      chip.title = title;
+      chip.addEventListener('click', () => {
+        chrome.runtime.sendMessage({
+          type: 'SET_GOAL_TERMS',
+          goal: activeText.textContent,
+          onTopicTitles: titles.filter(t => t !== title)
+        }, (response) => {
+          if (response && response.success) fillGoalTerms(response);
+        });
+      });
+      onTopicChips.appendChild(chip);
+    });
+  }
+
+  // "postgres, joins\nnormalization" → ['postgres', 'joins', 'normalization']
+  function parseTerms(value) {
+    return value.split(/[,\n]/).map(t => t.trim()).filter(Boolean);
   }
 
   function showToast(message) {
@@ -0,0 +1,76 @@
+/**
+ * Relevance engine (focus-firewall/lib/relevance.js): stemming, whole-word
+ * and phrase matching, related terms, include/exclude lists and the
+ * noisy-OR threshold.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../focus-firewall/lib/relevance.js');
+const { createMatcher, extractKeywords, stem } = globalThis.FFRelevance;
+
+test('stems plurals and -ing forms to one root', () => {
+  assert.equal(stem('graphs'), 'graph');
+  assert.equal(stem('graphing'), 'graph');
+  assert.equal(stem('nodes'), stem('node'));
+  assert.equal(stem('trees'), stem('tree'));
+  assert.equal(stem('classes'), stem('class'));
+  assert.equal(stem('boxes'), stem('box'));
+});
+
+test('plural goal phrases match singular titles', () => {
+  const matcher = createMatcher('Minimum spanning trees');
+  assert.deepEqual(matcher.evaluate('Spanning tree in 10 minutes').matched, ['spanning trees', 'spanning', 'trees']);
+});
+
+test('drops stop words from the goal', () => {
+  assert.deepEqual(extractKeywords('Preparing for the SQL Viva'), ['preparing', 'sql', 'viva']);
+});
+
+test('matches whole words only', () => {
+  const result = createMatcher('Studying Graph Theory').evaluate('Photograph tips for beginners');
+  assert.equal(result.relevant, false);
+  assert.deepEqual(result.matched, []);
+});
+
+test('goal phrases and keywords make a title relevant', () => {
+  const matcher = createMatcher('Studying Graph Theory');
+  assert.deepEqual(matcher.evaluate('Graph theory lecture 3'), {
+    score: 1, relevant: true, matched: ['graph theory', 'graph', 'theory'], excluded: []
+  });
+  assert.equal(matcher.evaluate('Graphs for beginners').score, 0.7);
+});
+
+test('related terms combine by noisy-OR', () => {
+  const result = createMatcher('Studying Graph Theory').evaluate('Dijkstra shortest path explained');
+  assert.deepEqual(result.matched, ['dijkstra', 'shortest path']);
+  assert.equal(result.score, 0.8); // 1 - (1 - 0.55)²
+  assert.equal(result.relevant, true);
+});
+
+test('a generic activity word alone stays under the threshold', () => {
+  const result = createMatcher('Studying Graph Theory').evaluate('Study with me 2 hours');
+  assert.equal(result.score, 0.2);
+  assert.equal(result.relevant, false);
+});
+
+test('a custom threshold decides relevance', () => {
+  const result = createMatcher('graph theory', { threshold: 0.9 }).evaluate('Dijkstra shortest path');
+  assert.equal(result.score, 0.8);
+  assert.equal(result.relevant, false);
+});
+
+test('include terms count fully; exclude terms win over everything', () => {
+  const matcher = createMatcher('Preparing for SQL Viva', { include: ['postgres'], exclude: ['prank'] });
+  assert.equal(matcher.evaluate('Postgres indexing deep dive').score, 1);
+  assert.deepEqual(matcher.evaluate('SQL viva prank'), {
+    score: 0, relevant: false, matched: [], excluded: ['prank']
+  });
+});
+
+test('without a goal everything is relevant', () => {
+  const matcher = createMatcher('');
+  assert.equal(matcher.isEmpty, true);
+  assert.equal(matcher.evaluate('Anything at all').relevant, true);
+});
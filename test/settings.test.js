@@ -0,0 +1,88 @@
+/**
+ * Settings schema (focus-firewall/lib/settings.js): upgrading stored data
+ * through the migrations, and checking export files on import.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../focus-firewall/lib/settings.js');
+const { SCHEMA_VERSION, SETTINGS_KEYS, DEFAULTS, defaults, upgrade, parseExport, toExport } = globalThis.FFSettings;
+
+test('fresh defaults carry the current schema version', () => {
+  const data = defaults();
+  assert.equal(data.schemaVersion, SCHEMA_VERSION);
+  data.sites.push({ domain: 'example.com' });
+  assert.equal(DEFAULTS.sites.length, 3, 'defaults() must return a copy');
+});
+
+test('unversioned (v1.0.0) data drops its old per-tab timers', () => {
+  const data = upgrade({ focusGoal: 'SQL viva', socialTimers: { 7: { startedAt: 1 } } });
+  assert.equal(data.schemaVersion, SCHEMA_VERSION);
+  assert.equal(data.focusGoal, 'SQL viva');
+  assert.deepEqual(data.socialTimers, {});
+});
+
+test('built-in sites without routes get the default route rules', () => {
+  const data = upgrade({
+    schemaVersion: 1,
+    sites: [
+      { domain: 'youtube.com', name: 'YouTube', mode: 'filter' },
+      { domain: 'instagram.com', name: 'Instagram', mode: 'interrupt', routes: [] },
+      { domain: 'reddit.com', name: 'Reddit', mode: 'filter' }
+    ]
+  });
+  assert.deepEqual(data.sites[0].routes, [{ path: '/shorts', action: 'hide' }]);
+  assert.deepEqual(data.sites[1].routes, [], 'routes the user emptied stay empty');
+  assert.equal('routes' in data.sites[2], false, 'only built-in sites have defaults');
+});
+
+test('missing fields are filled in and mistyped ones reset', () => {
+  const data = upgrade({ schemaVersion: SCHEMA_VERSION, isEnabled: 'yes', profiles: {} });
+  assert.equal(data.isEnabled, true);
+  assert.deepEqual(data.profiles, []);
+  Object.keys(DEFAULTS).forEach(key => assert.ok(key in data, `${key} is missing`));
+});
+
+test('current data passes through unchanged', () => {
+  const stored = { ...defaults(), focusGoal: 'Graph theory', socialBudgets: { 'instagram.com': 15 } };
+  assert.deepEqual(upgrade(stored), stored);
+});
+
+test('exports carry only the settings keys', () => {
+  const file = toExport({ ...defaults(), stats: { '2026-01-01': {} }, focusGoal: 'x' });
+  assert.equal(file.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(Object.keys(file.settings).sort(), [...SETTINGS_KEYS].sort());
+});
+
+test('imports reject foreign, newer and malformed files', () => {
+  assert.match(parseExport({ settings: {} }).error, /isn't a Focus Firewall settings file/);
+  assert.match(parseExport({ format: 'focus-firewall-settings', schemaVersion: SCHEMA_VERSION + 1, settings: {} }).error,
+    /newer version/);
+  assert.deepEqual(parseExport({ format: 'focus-firewall-settings', schemaVersion: SCHEMA_VERSION, settings: { profiles: {} } }),
+    { error: 'These settings are malformed: profiles' });
+});
+
+test('imports from older files are migrated and stripped of runtime state', () => {
+  const { settings } = parseExport({
+    format: 'focus-firewall-settings',
+    schemaVersion: 1,
+    settings: { sites: [{ domain: 'facebook.com', mode: 'interrupt' }], stats: { a: 1 }, focusGoal: 'x' }
+  });
+  assert.deepEqual(settings, {
+    sites: [{
+      domain: 'facebook.com',
+      mode: 'interrupt',
+      routes: [{ path: '/messages', action: 'allow' }, { path: '/marketplace', action: 'allow' }]
+    }]
+  });
+});
+
+test('imports from unversioned files bring no runtime state along', () => {
+  const { settings } = parseExport({
+    format: 'focus-firewall-settings',
+    settings: { socialBudgets: { 'instagram.com': 15 } }
+  });
+  assert.deepEqual(settings, { socialBudgets: { 'instagram.com': 15 } });
+  assert.equal('socialTimers' in settings, false);
+});